@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * world-im — the world from a terminal, without the server
+ *
+ *   world-im start [--as <name>] [--data <dir>] [--duration <ms>]
+ *     A headless world in real time. With --as, enter it as a human and
+ *     talk from a REPL; otherwise watch the agents talk among themselves.
+ *     --data keeps world memory and agent checkpoints in <dir> (the server's
+ *     layout); without it the world lasts as long as the command. Never
+ *     point it at a directory a running server is using. A name entered
+ *     with --as returns as the same inhabitant only if this command gave
+ *     it that identity (kept in <dir>/cli-humans.json).
+ *
+ *   world-im memory [--data <dir>] [--type <type>] [--follow]
+ *     World memory as JSON lines (--follow keeps printing new events).
+ *     The directory defaults to WORLD_DATA_DIR, else the server's data/.
+ *
+ *   world-im script <file> [--seed <seed>] [--duration <ms>]
+ *     Run a scripted conversation against the agents on virtual time and
+ *     print the transcript (script format: see src/simulation.js).
+ *
+ * --agents <dir> (or WORLD_AGENT_DIR) chooses who lives in the world.
+ *
+ * In the REPL:
+ *   some text              say it to the world
+ *   @Name some text        say it to Name (or @A @B … to several)
+ *   /reply <n> some text   reply to message #n, where it was said
+ *   /who                   who is present
+ *   /quit                  leave the world (as does Ctrl-C)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const { World } = require('../src/world');
+const { MemoryEventStore, JsonlEventStore, JsonSnapshotStore } = require('../src/store');
+const { HumanInhabitant } = require('../src/agent');
+const { DEFAULT_AGENT_DIR, createDefaultAgents } = require('../src/agents');
+const { AgentLifecycle } = require('../src/lifecycle');
+const { createProviderFromEnv } = require('../src/providers');
+const { ResponseScheduler } = require('../src/scheduler');
+const { AgentRuntime } = require('../src/runtime');
+const { Simulation } = require('../src/simulation');
+const { validateEnter, validateMessage } = require('../src/validation');
+const { isBroadcast, recipientsOf } = require('../src/addressing');
+
+const DEFAULT_DATA_DIR = process.env.WORLD_DATA_DIR || path.join(__dirname, '..', 'data');
+const AGENT_DIR = arg('agents') ? path.resolve(arg('agents')) : process.env.WORLD_AGENT_DIR || DEFAULT_AGENT_DIR;
+const FOLLOW_INTERVAL = 500;
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// Piped into `head` and the like: stop quietly when the reader does
+process.stdout.on('error', (err) => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
+// ─── Transcript ───
+
+function nameOf(world, id) {
+  if (id === 'world') return 'world';
+  const room = world.rooms.get(id);
+  if (room) return `#${room.name}`;
+  const known = world.knownInhabitants.get(id);
+  return known ? known.name : id.slice(0, 8);
+}
+
+/**
+ * One line of transcript for a message, an arrival or a departure
+ */
+function describe(world, event) {
+  const time = new Date(event.timestamp).toISOString().slice(11, 19);
+  const head = `#${event.sequence} ${time}`;
+  if (event.type === 'enter') return `${head} · ${event.inhabitantName} enters`;
+  if (event.type === 'leave') return `${head} · ${event.inhabitantName} leaves`;
+
+  const to = Array.isArray(event.to) ? event.to.map((id) => nameOf(world, id)).join(', ') : nameOf(world, event.to);
+  const parent = event.replyTo && world.getEvent(event.replyTo);
+  const reply = parent ? ` (re #${parent.sequence})` : '';
+  return `${head} ${event.fromName} → ${to}${reply}: ${event.content}`;
+}
+
+// Print each message, arrival and departure `show` is given, as it happens
+function narrate(world, show) {
+  world.on('message', (message) => show(message));
+  world.on('inhabitant:enter', ({ event }) => show(event));
+  world.on('inhabitant:leave', ({ event }) => show(event));
+}
+
+// ─── start ───
+
+async function start() {
+  const dataDir = arg('data') && path.resolve(arg('data'));
+  const store = dataDir ? new JsonlEventStore(path.join(dataDir, 'world-memory.jsonl')) : new MemoryEventStore();
+  const world = new World({ store });
+  const agentSnapshots = dataDir && new JsonSnapshotStore(path.join(dataDir, 'agents.json'));
+  const savedAgents = (agentSnapshots && agentSnapshots.load()) || [];
+
+  let agents;
+  try {
+    agents = createDefaultAgents(savedAgents, AGENT_DIR);
+  } catch (err) {
+    fail(err.message);
+  }
+  const provider = createProviderFromEnv();
+  const prepareAgent = (agent) => {
+    agent.provider = provider;
+    agent.recall = (query) => world.queryMemory({ ...query, viewer: { id: agent.id } });
+    agent.canShare = (memory, to) => world.isVisibleToAudience({ type: 'message', from: memory.from, to: memory.to }, to);
+    agent.onMoodChange = (change) => world.recordAgentState(agent, change);
+  };
+  // Agents retired or spawned by the server's admin API stay that way here
+  if (dataDir) {
+    new AgentLifecycle({
+      world,
+      agents,
+      archive: new JsonSnapshotStore(path.join(dataDir, 'retired-agents.json')),
+      prepare: prepareAgent,
+    }).resume(savedAgents);
+  }
+  for (const agent of agents) {
+    prepareAgent(agent);
+    world.enter(agent);
+  }
+
+  const name = arg('as');
+  let human = null;
+  let rl = null;
+
+  // What the human (or, without one, an onlooker) gets to see
+  const show = (event) => {
+    if (human && !world.isVisibleTo(event, { id: human.id })) return;
+    const line = describe(world, event);
+    if (!rl) return console.log(line);
+    readline.clearLine(process.stdout, 0);
+    readline.cursorTo(process.stdout, 0);
+    console.log(line);
+    rl.prompt(true);
+  };
+
+  if (name) {
+    const reservedNames = world.getInhabitants().map((i) => i.name);
+    const { value, error } = validateEnter({ name }, { reservedNames });
+    if (error) fail(error.message);
+    // A returning human keeps the identity this command gave them before;
+    // a name alone never claims someone else's (a web visitor's, say)
+    const cliHumans = dataDir && new JsonSnapshotStore(path.join(dataDir, 'cli-humans.json'));
+    const issued = (cliHumans && cliHumans.load()) || {};
+    human = new HumanInhabitant({ id: issued[value.name], name: value.name });
+    if (cliHumans && issued[value.name] !== human.id) cliHumans.save({ ...issued, [value.name]: human.id });
+  }
+
+  console.log(`${agents.map((a) => a.name).join(', ')} inhabit the world.`);
+  const history = world.getRecentMessages(10, human ? { id: human.id } : undefined);
+  for (const message of history) show(message);
+
+  narrate(world, show);
+  const runtime = new AgentRuntime({ world, agents, scheduler: new ResponseScheduler(world) });
+  runtime.start();
+
+  let stopped = false;
+  function stop() {
+    if (stopped) return;
+    stopped = true;
+    runtime.stop();
+    if (rl) {
+      const input = rl;
+      rl = null; // from here on, lines print without a prompt
+      input.close();
+    }
+    // Everyone leaves on the record, and the record is flushed before exiting
+    world.leaveAll();
+    if (agentSnapshots) agentSnapshots.save(agents.map((a) => a.toJSON()));
+    store.close().then(() => process.exit(0), () => process.exit(1));
+  }
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  if (arg('duration')) setTimeout(stop, Number(arg('duration'))).unref();
+
+  if (!human) return;
+  world.enter(human);
+  rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: `${human.name}> ` });
+  rl.on('line', (line) => {
+    const reply = speak(world, human, line.trim());
+    if (reply === 'quit') return rl.close();
+    if (reply) console.log(reply);
+    rl.prompt();
+  });
+  rl.on('SIGINT', () => rl.close());
+  rl.on('close', stop);
+  rl.prompt();
+}
+
+/**
+ * The other participants of a direct message: its sender and recipients,
+ * but not the one replying (a single id, or a list of several)
+ */
+function replyRecipients(parent, selfId) {
+  const others = Array.from(new Set([parent.from, ...recipientsOf(parent.to)])).filter((id) => id !== selfId);
+  if (others.length === 0) return parent.to;
+  return others.length === 1 ? others[0] : others;
+}
+
+/**
+ * One line typed by the human. Returns what to tell them, if anything.
+ */
+function speak(world, human, line) {
+  if (!line) return null;
+  if (line === '/quit') return 'quit';
+  if (line === '/who') return world.getInhabitants().map((i) => `${i.name} (${i.kind})`).join(', ');
+
+  let text = line;
+  let to = 'world';
+  let replyTo = null;
+
+  const replying = line.match(/^\/reply\s+#?(\d+)\s+([\s\S]+)$/);
+  if (replying) {
+    const parent = world.memory.find((e) => e.type === 'message' && e.sequence === Number(replying[1]));
+    if (!parent || !world.isVisibleTo(parent, { id: human.id })) return `There is no message #${replying[1]}.`;
+    replyTo = parent.id;
+    text = replying[2];
+    // A reply goes where the message was said; a direct one, to everyone
+    // else it was between
+    to = isBroadcast(parent.to) ? parent.to : replyRecipients(parent, human.id);
+  } else if (line.startsWith('/')) {
+    return 'Commands: /reply <n> <text>, /who, /quit — or @Name <text>, or just <text>.';
+  } else if (line.startsWith('@')) {
+    const addressed = takeRecipients(world, line);
+    if (addressed.error) return addressed.error;
+    ({ text, to } = addressed);
+  }
+
+  const { value, error } = validateMessage({ content: text, to, replyTo }, { world, senderId: human.id });
+  if (error) return error.message;
+  world.processMessage({ from: human.id, ...value });
+  return null;
+}
+
+// Leading @names: the longest name present that fits wins ("@Ada Lovelace hi")
+function takeRecipients(world, line) {
+  const names = world
+    .getInhabitants()
+    .map((i) => ({ id: i.id, name: i.name.toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+  const to = [];
+  let rest = line;
+  while (rest.startsWith('@')) {
+    const lower = rest.slice(1).toLowerCase();
+    const match = names.find((n) => lower.startsWith(n.name) && /^(\s|$)/.test(lower.slice(n.name.length)));
+    if (!match) return { error: `Nobody named "${rest.slice(1).split(/\s/)[0]}" is here.` };
+    to.push(match.id);
+    rest = rest.slice(1 + match.name.length).trimStart();
+  }
+  return { text: rest, to: to.length === 1 ? to[0] : to };
+}
+
+// ─── memory ───
+
+function memory() {
+  const file = path.join(path.resolve(arg('data') || DEFAULT_DATA_DIR), 'world-memory.jsonl');
+  const type = arg('type');
+  let offset = 0;
+  let partial = '';
+
+  // Print what was appended since last time, whole lines only
+  const readNew = () => {
+    if (!fs.existsSync(file)) return;
+    const size = fs.statSync(file).size;
+    if (size <= offset) return;
+    const buffer = Buffer.alloc(size - offset);
+    const fd = fs.openSync(file, 'r');
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+    fs.closeSync(fd);
+    offset = size;
+
+    const lines = (partial + buffer.toString('utf8')).split('\n');
+    partial = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      if (type) {
+        try {
+          if (JSON.parse(line).type !== type) continue;
+        } catch (err) {
+          continue; // a line cut off mid-write; the store skips these too
+        }
+      }
+      process.stdout.write(line + '\n');
+    }
+  };
+
+  if (!fs.existsSync(file) && !process.argv.includes('--follow')) fail(`No world memory at ${file}`);
+  readNew();
+  if (process.argv.includes('--follow')) fs.watchFile(file, { interval: FOLLOW_INTERVAL }, readNew);
+}
+
+// ─── script ───
+
+async function script() {
+  const file = process.argv[3];
+  if (!file || file.startsWith('--')) fail('Usage: world-im script <file> [--seed <seed>] [--duration <ms>]');
+  let conversation;
+  try {
+    conversation = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (err) {
+    fail(`Cannot read ${file}: ${err.message}`);
+  }
+
+  const seed = arg('seed') !== undefined ? arg('seed') : conversation.seed;
+  const duration = arg('duration') ? Number(arg('duration')) : conversation.duration;
+  const simulation = new Simulation({ seed, agentDir: AGENT_DIR });
+  console.log(`${simulation.agents.map((a) => a.name).join(', ')} inhabit the world.`);
+  narrate(simulation.world, (event) => console.log(describe(simulation.world, event)));
+
+  const summary = await simulation.run({ duration, inputs: conversation.inputs || [] });
+  console.log(
+    `\n${summary.counts.message || 0} messages in ${summary.elapsed / 1000}s of virtual time ` +
+      `(seed ${JSON.stringify(summary.seed)}, digest ${summary.digest.slice(0, 12)})`
+  );
+}
+
+// ─── Main ───
+
+const COMMANDS = { start, memory, script };
+const command = COMMANDS[process.argv[2]];
+if (!command) {
+  console.log('Usage: world-im start [--as <name>] [--data <dir>] [--duration <ms>]');
+  console.log('       world-im memory [--data <dir>] [--type <type>] [--follow]');
+  console.log('       world-im script <file> [--seed <seed>] [--duration <ms>]');
+  process.exit(process.argv[2] && process.argv[2] !== 'help' ? 1 : 0);
+}
+Promise.resolve(command()).catch((err) => fail(err.message));
@@ -20,6 +20,14 @@
     replyTo: null,
     inhabitants: [],
     targetModalOpen: false,
+    messages: new Map(), // messageId -> message, for quoting parents
+    graph: null, // latest relationship graph from the world
+    archive: { query: null, events: [], nextCursor: null }, // memory browser
+    rooms: [], // every room in the world, with members
+    currentRoom: 'world', // which stream is on screen: 'world' or a room id
+    unread: new Map(), // roomId -> messages arrived while looking elsewhere
+    pendingRoom: null, // room just created or joined, to switch to once in
+    mention: null, // open @mention autocomplete: { start, matches, index }
   };
 
   // ─── DOM Elements ───
@@ -28,6 +36,7 @@
     worldInterface: document.getElementById('world-interface'),
     nameInput: document.getElementById('name-input'),
     enterBtn: document.getElementById('enter-btn'),
+    entryError: document.getElementById('entry-error'),
     messageStream: document.getElementById('message-stream'),
     messageInput: document.getElementById('message-input'),
     sendBtn: document.getElementById('send-btn'),
@@ -40,19 +49,36 @@
     replyIndicator: document.getElementById('reply-indicator'),
     replyToText: document.getElementById('reply-to-text'),
     cancelReply: document.getElementById('cancel-reply'),
+    relationshipGraph: document.getElementById('relationship-graph'),
+    openArchive: document.getElementById('open-archive'),
+    roomList: document.getElementById('room-list'),
+    roomForm: document.getElementById('room-form'),
+    roomNameInput: document.getElementById('room-name-input'),
+    mentionSuggestions: document.getElementById('mention-suggestions'),
   };
 
-  // ─── Agent color map ───
-  const agentColors = {
-    Vera: 'var(--agent-vera)',
-    Marsh: 'var(--agent-marsh)',
-    Kael: 'var(--agent-kael)',
-    Lumen: 'var(--agent-lumen)',
-  };
+  // Session token kept across reloads so the human returns as themselves
+  const TOKEN_KEY = 'world-im:session';
+
+  // ─── Inhabitant colors ───
+  // Agents bring their color from their definition; humans share one
+  function colorOf(inhabitant) {
+    if (!inhabitant) return 'var(--accent)';
+    if (inhabitant.kind === 'human') return 'var(--human-accent)';
+    return inhabitant.color || 'var(--accent)';
+  }
+
+  function inhabitantById(id) {
+    return state.inhabitants.find((i) => i.id === id) ||
+      (state.graph && state.graph.nodes.find((n) => n.id === id));
+  }
 
   // ─── Initialize ───
   function init() {
-    state.socket = io();
+    // The token is read on every (re)connect, so a newly issued one is used
+    state.socket = io({
+      auth: (cb) => cb({ token: localStorage.getItem(TOKEN_KEY) }),
+    });
     bindEvents();
     bindSocketEvents();
   }
@@ -68,6 +94,7 @@
     // Send message
     dom.sendBtn.addEventListener('click', sendMessage);
     dom.messageInput.addEventListener('keydown', (e) => {
+      if (state.mention && handleMentionKey(e)) return;
       if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         sendMessage();
@@ -79,13 +106,24 @@
       dom.messageInput.style.height = 'auto';
       dom.messageInput.style.height =
         Math.min(dom.messageInput.scrollHeight, 120) + 'px';
+      updateMentionSuggestions();
     });
+    dom.messageInput.addEventListener('blur', closeMentionSuggestions);
 
     // Target selector
     dom.changeTarget.addEventListener('click', toggleTargetModal);
 
     // Cancel reply
     dom.cancelReply.addEventListener('click', clearReply);
+
+    // World memory browser
+    dom.openArchive.addEventListener('click', openArchive);
+
+    // Create a room
+    dom.roomForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      createRoom();
+    });
   }
 
   // ─── Socket Events ───
@@ -113,12 +151,100 @@
       updateMessageCount();
     });
 
+    // Rejected request: entry problems show at the gate, the rest in the stream
+    socket.on('error', (err) => {
+      if (err.event === 'room:create') {
+        dom.roomNameInput.setCustomValidity(err.message);
+        dom.roomNameInput.reportValidity();
+        return;
+      }
+      if (err.event === 'human:enter') {
+        dom.entryError.textContent = err.message;
+        dom.entryError.classList.remove('hidden');
+        dom.nameInput.focus();
+        return;
+      }
+      addSystemMessage(err.message);
+    });
+
+    // Stored session no longer recognized: enter afresh
+    socket.on('session:invalid', () => {
+      localStorage.removeItem(TOKEN_KEY);
+    });
+
+    // Relationship graph, pushed as it changes
+    socket.on('world:graph', (graph) => {
+      state.graph = graph;
+      renderGraph();
+    });
+
+    // Rooms and their members, pushed as they change
+    socket.on('world:rooms', (rooms) => {
+      state.rooms = rooms;
+      // Left the room on screen (perhaps in another tab): back to the world
+      if (state.currentRoom !== 'world' && !isMemberOf(state.currentRoom)) {
+        switchRoom('world');
+      }
+      // Just created or joined a room: go there
+      const pending = rooms.find((r) => r.id === state.pendingRoom || r.name === state.pendingRoom);
+      if (pending && isMemberOf(pending.id)) {
+        state.pendingRoom = null;
+        switchRoom(pending.id);
+      }
+      renderRoomList();
+    });
+
+    // A page of world memory for the archive
+    socket.on('world:memory', (page) => {
+      receiveArchivePage(page);
+    });
+
+    // Reply thread around a message
+    socket.on('world:thread', (thread) => {
+      renderThread(thread);
+    });
+
+    // Someone contradicted a commitment on the record
+    socket.on('world:contradiction', (c) => {
+      addSystemMessage(`${c.inhabitantName} contradicted an earlier commitment: "${c.priorStatement}"`);
+      scrollToBottom();
+    });
+
+    // An agent's mood moved
+    socket.on('world:agent-state', (event) => {
+      const inhabitant = state.inhabitants.find((i) => i.id === event.inhabitantId);
+      if (!inhabitant) return;
+      inhabitant.mood = event.mood;
+      updateInhabitantList(state.inhabitants);
+    });
+
+    // An agent was spawned, retired or replaced
+    socket.on('world:lifecycle', (event) => {
+      addSystemMessage(describeLifecycle(event));
+      scrollToBottom();
+    });
+
     // Human entered confirmation
     socket.on('human:entered', (data) => {
+      if (data.token) {
+        localStorage.setItem(TOKEN_KEY, data.token);
+      }
+      const reconnected = state.entered && state.humanId === data.id;
       state.humanId = data.id;
       state.humanName = data.name;
       state.entered = true;
-      addSystemMessage(`You have entered the world as ${data.name}.`);
+      showWorld();
+      state.socket.emit('world:requestGraph');
+      state.socket.emit('world:requestRooms');
+      if (reconnected) return;
+      addSystemMessage(
+        data.resumed
+          ? `You have returned to the world as ${data.name}.`
+          : `You have entered the world as ${data.name}.`
+      );
+      if (data.observer) {
+        addSystemMessage('You are observing: direct messages between others are visible to you.');
+      }
     });
   }
 
@@ -131,8 +257,14 @@
     }
 
     state.humanName = name;
-    state.socket.emit('human:enter', { name });
+    // Observer permission is granted by a key passed as ?observer=<key>
+    const observerKey = new URLSearchParams(window.location.search).get('observer');
+    dom.entryError.classList.add('hidden');
+    state.socket.emit('human:enter', { name, observerKey });
+  }
 
+  function showWorld() {
+    if (!dom.worldInterface.classList.contains('hidden')) return;
     dom.entryGate.classList.add('hidden');
     dom.worldInterface.classList.remove('hidden');
     dom.messageInput.focus();
@@ -146,6 +278,7 @@
     state.socket.emit('human:message', {
       content,
       to: state.messageTarget,
+      replyTo: state.replyTo,
     });
 
     dom.messageInput.value = '';
@@ -165,41 +298,98 @@
       return;
     }
 
+    // Reconnects resend history; each message is rendered once
+    if (state.messages.has(message.id)) return;
+    state.messages.set(message.id, message);
+
     const el = document.createElement('div');
     el.className = 'message';
     el.dataset.id = message.id;
     el.dataset.sender = message.fromName;
 
+    // Each room is its own stream; the world stream has broadcasts and DMs
+    const room = isRoom(message.to) ? message.to : 'world';
+    el.dataset.room = room;
+    if (room !== state.currentRoom) {
+      el.classList.add('hidden');
+      if (!isHistory) {
+        state.unread.set(room, (state.unread.get(room) || 0) + 1);
+        renderRoomList();
+      }
+    }
+
     // Is this a human message?
     const isHuman = message.from === state.humanId;
     if (isHuman) {
       el.classList.add('human');
     }
 
-    // Fork indicator
-    if (message.classification === 'fork') {
+    // Fork indicator (older events carry a bare label, newer ones a confidence)
+    const classification = typeof message.classification === 'string'
+      ? { label: message.classification }
+      : message.classification || {};
+    if (classification.label === 'fork') {
       el.classList.add('fork');
+      if (classification.confidence != null) {
+        el.title = `fork · confidence ${classification.confidence}`;
+      }
     }
 
     // Target display
     let targetText = '';
     if (message.to === 'world') {
       targetText = '→ world';
+    } else if (room !== 'world') {
+      targetText = `→ ${escapeHtml(roomLabel(room))}`;
     } else {
-      const target = state.inhabitants.find((i) => i.id === message.to);
-      targetText = target ? `→ ${target.name}` : '→ ?';
+      // Direct messages are private to sender and recipients
+      el.classList.add('direct');
+      const names = [].concat(message.to).map(nameOfInhabitant);
+      targetText = `→ ${escapeHtml(names.join(', '))} · private`;
+    }
+
+    // Agents speak in their own color
+    const sender = inhabitantById(message.from);
+    const senderStyle = sender && sender.kind === 'agent' && sender.color
+      ? ` style="color: ${escapeHtml(sender.color)}"`
+      : '';
+
+    // Someone called on you by name
+    if ((message.mentions || []).includes(state.humanId)) {
+      el.classList.add('mentioned');
     }
 
     el.innerHTML = `
+      ${message.replyTo ? renderQuote(message.replyTo) : ''}
       <div class="message-header">
-        <span class="message-sender">${escapeHtml(message.fromName)}</span>
+        <span class="message-sender"${senderStyle}>${escapeHtml(message.fromName)}</span>
         <span class="message-target">${targetText}</span>
         <span class="message-seq">#${message.sequence}</span>
       </div>
-      <div class="message-content">${escapeHtml(message.content)}</div>
-      <div class="message-meta"></div>
+      <div class="message-content">${renderContent(message)}</div>
+      <div class="message-meta">
+        ${renderCitations(message)}
+        <button class="thread-toggle" title="View thread">⋯ thread</button>
+      </div>
     `;
 
+    // Citations lead back to the rediscovered message
+    el.querySelectorAll('.citation').forEach((link) => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        jumpToMessage({ id: link.dataset.cite });
+      });
+    });
+
+    // Quoted parent and thread toggle open the thread view
+    el.querySelectorAll('.message-quote, .thread-toggle').forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        requestThread(message.id);
+      });
+    });
+
     // Click to reply
     el.addEventListener('click', () => {
       setReplyTo(message);
@@ -208,6 +398,103 @@
     dom.messageStream.appendChild(el);
   }
 
+  // ─── Citations ───
+  // A message may cite older ones it rediscovered (meta.cites); "#12" in
+  // its text becomes a link when #12 is one of them
+  function citesOf(message) {
+    return (message.meta && message.meta.cites) || [];
+  }
+
+  function citationLink(cite, text) {
+    return `<a href="#" class="citation" data-cite="${escapeHtml(cite.messageId)}">${text}</a>`;
+  }
+
+  function renderContent(message) {
+    let html = highlightMentions(escapeHtml(message.content), message.mentions || []);
+    const cites = citesOf(message);
+    if (cites.length === 0) return html;
+    return html.replace(/#(\d+)/g, (match, seq) => {
+      const cite = cites.find((c) => c.sequence === Number(seq));
+      return cite ? citationLink(cite, match) : match;
+    });
+  }
+
+  // ─── Mentions ───
+  // "@Name" addresses an inhabitant (Law 3); the world records whom
+  function highlightMentions(html, mentions) {
+    for (const id of mentions) {
+      const name = escapeHtml(nameOfInhabitant(id));
+      const pattern = new RegExp(`@${escapeRegExp(name)}(?![\\p{L}\\p{N}_])`, 'giu');
+      const cls = id === state.humanId ? 'mention mine' : 'mention';
+      html = html.replace(pattern, (match) => `<span class="${cls}">${match}</span>`);
+    }
+    return html;
+  }
+
+  function renderCitations(message) {
+    const cites = citesOf(message);
+    if (cites.length === 0) return '';
+    const links = cites.map((c) => citationLink(c, `#${c.sequence} ${escapeHtml(c.fromName || '')}`));
+    return `<span class="message-cites">recalls ${links.join(', ')}</span>`;
+  }
+
+  function renderQuote(parentId) {
+    const parent = state.messages.get(parentId);
+    if (!parent) {
+      return '<div class="message-quote">↳ in reply to an earlier message</div>';
+    }
+    const excerpt = parent.content.length > 80
+      ? parent.content.substring(0, 80) + '...'
+      : parent.content;
+    return `<div class="message-quote">↳ <span class="quote-sender">${escapeHtml(
+      parent.fromName
+    )}</span> #${parent.sequence}: ${escapeHtml(excerpt)}</div>`;
+  }
+
+  // ─── Thread View ───
+  function requestThread(messageId) {
+    state.socket.emit('world:requestThread', { messageId });
+  }
+
+  function renderThread(thread) {
+    closeThread();
+
+    const panel = document.createElement('div');
+    panel.id = 'thread-panel';
+
+    const chain = [...thread.ancestors, thread.message, ...thread.descendants];
+    let html = '<div class="thread-header"><h4>Thread</h4>';
+    html += '<button class="thread-close" title="Close">×</button></div>';
+    for (const msg of chain) {
+      const focal = msg.id === thread.message.id;
+      html += `
+        <div class="thread-message${focal ? ' focal' : ''}" data-id="${msg.id}">
+          <div class="message-header">
+            <span class="message-sender">${escapeHtml(msg.fromName)}</span>
+            <span class="message-seq">#${msg.sequence}</span>
+          </div>
+          <div class="message-content">${escapeHtml(msg.content)}</div>
+        </div>`;
+    }
+
+    panel.innerHTML = html;
+    document.body.appendChild(panel);
+
+    panel.querySelector('.thread-close').addEventListener('click', closeThread);
+    panel.querySelectorAll('.thread-message').forEach((item) => {
+      const msg = chain.find((m) => m.id === item.dataset.id);
+      item.addEventListener('click', () => {
+        setReplyTo(msg);
+        closeThread();
+      });
+    });
+  }
+
+  function closeThread() {
+    const panel = document.getElementById('thread-panel');
+    if (panel) panel.remove();
+  }
+
   // ─── System Messages ───
   function addSystemMessage(text) {
     const el = document.createElement('div');
@@ -234,13 +521,25 @@
       li.className = 'inhabitant-item';
 
       const isHuman = inhabitant.kind === 'human';
-      const color = isHuman
-        ? 'var(--human-accent)'
-        : agentColors[inhabitant.name] || 'var(--accent)';
+      const color = colorOf(inhabitant);
+
+      // Agents show their remaining attention (PRD §5)
+      const attention = typeof inhabitant.attentionBudget === 'number'
+        ? `<span class="inhabitant-attention" title="attention ${inhabitant.attentionBudget}">
+            <span style="width: ${Math.round(inhabitant.attentionBudget * 100)}%"></span>
+          </span>`
+        : '';
+
+      // ...and the mood they are in
+      const mood = inhabitant.mood
+        ? `<span class="inhabitant-mood">${escapeHtml(inhabitant.mood)}</span>`
+        : '';
 
       li.innerHTML = `
         <span class="inhabitant-dot${isHuman ? ' human' : ''}" style="background: ${color}"></span>
         <span class="inhabitant-name">${escapeHtml(inhabitant.name)}</span>
+        ${mood}
+        ${attention}
         <span class="inhabitant-kind">${inhabitant.kind}</span>
       `;
 
@@ -261,6 +560,422 @@
     dom.statEvents.textContent = events + 1;
   }
 
+  // ─── Mention Autocomplete ───
+  // Typing "@" offers the names of those present
+  function updateMentionSuggestions() {
+    const input = dom.messageInput;
+    const before = input.value.slice(0, input.selectionStart);
+    const match = before.match(/(?:^|[^\p{L}\p{N}_])@([^@\n]{0,30})$/u);
+    if (!match) {
+      closeMentionSuggestions();
+      return;
+    }
+
+    const partial = match[1].toLowerCase();
+    const matches = state.inhabitants
+      .filter((i) => i.id !== state.humanId && i.name.toLowerCase().startsWith(partial))
+      .slice(0, 6);
+    if (matches.length === 0) {
+      closeMentionSuggestions();
+      return;
+    }
+
+    state.mention = { start: before.length - match[1].length - 1, matches, index: 0 };
+    renderMentionSuggestions();
+  }
+
+  function renderMentionSuggestions() {
+    const { matches, index } = state.mention;
+    dom.mentionSuggestions.innerHTML = matches
+      .map((i, n) => `<button class="mention-option${n === index ? ' active' : ''}" data-index="${n}">@${escapeHtml(i.name)}
+        <span class="inhabitant-kind">${i.kind}</span></button>`)
+      .join('');
+    dom.mentionSuggestions.classList.remove('hidden');
+
+    dom.mentionSuggestions.querySelectorAll('.mention-option').forEach((btn) => {
+      // Keep focus in the composer
+      btn.addEventListener('mousedown', (e) => e.preventDefault());
+      btn.addEventListener('click', () => pickMention(Number(btn.dataset.index)));
+    });
+  }
+
+  // Arrow keys move, Enter or Tab picks, Escape dismisses
+  function handleMentionKey(e) {
+    const { matches } = state.mention;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      state.mention.index = (state.mention.index + step + matches.length) % matches.length;
+      renderMentionSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      pickMention(state.mention.index);
+    } else if (e.key === 'Escape') {
+      closeMentionSuggestions();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  function pickMention(index) {
+    const input = dom.messageInput;
+    const { start, matches } = state.mention;
+    const inserted = `@${matches[index].name} `;
+    const caret = input.selectionStart;
+
+    input.value = input.value.slice(0, start) + inserted + input.value.slice(caret);
+    input.selectionStart = input.selectionEnd = start + inserted.length;
+    closeMentionSuggestions();
+    input.focus();
+  }
+
+  function closeMentionSuggestions() {
+    state.mention = null;
+    dom.mentionSuggestions.classList.add('hidden');
+  }
+
+  // ─── Rooms ───
+  // Rooms are directed targets like the world (PRD §5: compartmentalization).
+  // The stream shows one room at a time; the target follows the room.
+  function isRoom(targetId) {
+    return typeof targetId === 'string' && targetId.startsWith('room:');
+  }
+
+  function roomLabel(roomId) {
+    const room = state.rooms.find((r) => r.id === roomId);
+    return `#${room ? room.name : roomId.slice('room:'.length)}`;
+  }
+
+  function isMemberOf(roomId) {
+    const room = state.rooms.find((r) => r.id === roomId);
+    return Boolean(room && room.members.includes(state.humanId));
+  }
+
+  function renderRoomList() {
+    dom.roomList.innerHTML = '';
+
+    const entries = [{ id: 'world', name: 'world', members: null }, ...state.rooms];
+    for (const room of entries) {
+      const isWorld = room.id === 'world';
+      const member = isWorld || isMemberOf(room.id);
+      const unread = state.unread.get(room.id) || 0;
+
+      const li = document.createElement('li');
+      li.className = 'room-item';
+      if (room.id === state.currentRoom) li.classList.add('active');
+      if (!member) li.classList.add('outside');
+      if (room.topic) li.title = room.topic;
+
+      li.innerHTML = `
+        <span class="room-name">#${escapeHtml(room.name)}</span>
+        ${unread ? `<span class="room-unread">${unread}</span>` : ''}
+        ${isWorld ? '' : `<span class="room-members">${room.members.length}</span>`}
+        ${isWorld ? '' : `<button class="room-action">${member ? 'leave' : 'join'}</button>`}
+      `;
+
+      // Click a room you are in to read it; join one you are not in
+      li.addEventListener('click', () => {
+        if (member) switchRoom(room.id);
+        else joinRoom(room.id);
+      });
+      const action = li.querySelector('.room-action');
+      if (action) {
+        action.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (member) state.socket.emit('room:leave', { roomId: room.id });
+          else joinRoom(room.id);
+        });
+      }
+
+      dom.roomList.appendChild(li);
+    }
+  }
+
+  function createRoom() {
+    const name = dom.roomNameInput.value.trim();
+    dom.roomNameInput.setCustomValidity('');
+    if (!name) return;
+    state.pendingRoom = name;
+    state.socket.emit('room:create', { name });
+    dom.roomNameInput.value = '';
+  }
+
+  function joinRoom(roomId) {
+    state.pendingRoom = roomId;
+    state.socket.emit('room:join', { roomId });
+  }
+
+  function switchRoom(roomId) {
+    state.currentRoom = roomId;
+    state.unread.delete(roomId);
+
+    dom.messageStream.querySelectorAll('.message').forEach((el) => {
+      el.classList.toggle('hidden', el.dataset.room !== roomId);
+    });
+
+    clearReply();
+    if (roomId === 'world') setTarget('world', 'world');
+    else setTarget(roomId, roomLabel(roomId));
+
+    renderRoomList();
+    scrollToBottom();
+  }
+
+  // ─── Archive: browsing world memory ───
+  // "Archaeological rediscovery" (PRD §5): search and page through memory,
+  // or jump in at an old sequence number and read forward from there.
+  const ARCHIVE_PAGE_SIZE = 30;
+
+  function openArchive() {
+    closeThread();
+    closeArchive();
+
+    const panel = document.createElement('div');
+    panel.id = 'archive-panel';
+
+    const senders = state.graph ? state.graph.nodes : state.inhabitants;
+    panel.innerHTML = `
+      <div class="thread-header">
+        <h4>Archive</h4>
+        <button class="thread-close" title="Close">×</button>
+      </div>
+      <form class="archive-form">
+        <input name="text" type="search" placeholder="Search messages..." maxlength="200">
+        <div class="archive-filters">
+          <select name="type">
+            <option value="message">messages</option>
+            <option value="">all events</option>
+            <option value="enter,leave">arrivals &amp; departures</option>
+            <option value="commitment,contradiction">commitments</option>
+            <option value="relationship">relationships</option>
+            <option value="room">rooms</option>
+          </select>
+          <select name="from">
+            <option value="">anyone</option>
+            ${senders.map((i) => `<option value="${i.id}">${escapeHtml(i.name)}</option>`).join('')}
+          </select>
+          <select name="classification">
+            <option value="">any kind</option>
+            <option value="fork">forks</option>
+            <option value="perturbation">perturbations</option>
+          </select>
+        </div>
+        <div class="archive-filters">
+          <input name="jump" type="number" min="1" placeholder="Jump to #">
+          <button type="submit">Search</button>
+        </div>
+      </form>
+      <div class="archive-results"></div>
+      <button class="archive-more hidden">More</button>
+    `;
+    document.body.appendChild(panel);
+
+    const form = panel.querySelector('.archive-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      searchArchive(form);
+    });
+    panel.querySelector('.thread-close').addEventListener('click', closeArchive);
+    panel.querySelector('.archive-more').addEventListener('click', () => {
+      requestArchivePage({ ...state.archive.query, cursor: state.archive.nextCursor });
+    });
+
+    searchArchive(form);
+  }
+
+  function searchArchive(form) {
+    const data = new FormData(form);
+    const jump = Number(data.get('jump'));
+    const query = {
+      types: data.get('type') ? data.get('type').split(',') : undefined,
+      from: data.get('from') || undefined,
+      classification: data.get('classification') || undefined,
+      text: data.get('text').trim() || undefined,
+      limit: ARCHIVE_PAGE_SIZE,
+    };
+    // Jumping reads forward from an old point in the sequence
+    if (jump > 0) {
+      query.sequenceFrom = jump;
+      query.direction = 'forward';
+    }
+
+    state.archive = { query, events: [], nextCursor: null };
+    archivePanel().querySelector('.archive-results').innerHTML = '';
+    requestArchivePage(query);
+  }
+
+  function requestArchivePage(query) {
+    state.socket.emit('world:requestMemory', query);
+  }
+
+  function receiveArchivePage(page) {
+    const el = archivePanel();
+    if (!el) return;
+
+    state.archive.nextCursor = page.nextCursor;
+    state.archive.events.push(...page.events);
+
+    const results = el.querySelector('.archive-results');
+    if (state.archive.events.length === 0) {
+      results.innerHTML = '<div class="archive-empty">Nothing in memory matches.</div>';
+    }
+    for (const event of page.events) {
+      results.appendChild(renderArchiveEvent(event));
+    }
+
+    const more = el.querySelector('.archive-more');
+    more.textContent = page.direction === 'forward' ? 'Later' : 'Earlier';
+    more.classList.toggle('hidden', !page.nextCursor);
+  }
+
+  function renderArchiveEvent(event) {
+    const item = document.createElement('div');
+    item.className = 'thread-message archive-event';
+
+    const name = event.fromName || event.inhabitantName || (event.type === 'boot' ? 'World' : nameOf(event.from));
+    const body = event.type === 'message'
+      ? escapeHtml(event.content)
+      : `<em>${escapeHtml(describeEvent(event))}</em>`;
+    item.innerHTML = `
+      <div class="message-header">
+        <span class="message-sender">${escapeHtml(name || '')}</span>
+        <span class="message-target">${event.type}</span>
+        <span class="message-seq">#${event.sequence}</span>
+      </div>
+      <div class="message-content">${body}</div>
+    `;
+
+    if (event.type === 'message') {
+      item.addEventListener('click', () => jumpToMessage(event));
+    }
+    return item;
+  }
+
+  function describeEvent(event) {
+    switch (event.type) {
+      case 'enter': return 'entered the world';
+      case 'leave': return 'left the world';
+      case 'commitment': return `committed: "${event.statement}"`;
+      case 'contradiction': return `contradicted: "${event.priorStatement}"`;
+      case 'relationship': return `${event.change} toward ${nameOf(event.to)} (${event.bond})`;
+      case 'suppressed': return `stayed silent (${event.reason})`;
+      case 'room': return `${{ create: 'created', join: 'joined', leave: 'left' }[event.action]} #${event.roomName}`;
+      case 'lifecycle': return describeLifecycle(event);
+      case 'agent-state': return `became ${event.mood} (${event.cause}, was ${event.previousMood})`;
+      case 'boot': return 'restarted; everyone present before has left';
+      default: return event.type;
+    }
+  }
+
+  function describeLifecycle(event) {
+    switch (event.action) {
+      case 'spawn': return `${event.inhabitantName} was brought into the world.`;
+      case 'replace': return `${event.inhabitantName} succeeds ${event.predecessorName}, carrying part of what they knew.`;
+      case 'retire': return event.reason === 'replaced'
+        ? `${event.inhabitantName} has been retired in favor of a successor.`
+        : `${event.inhabitantName} has been retired.`;
+      default: return `${event.inhabitantName}: ${event.action}`;
+    }
+  }
+
+  // A message still in the live stream is scrolled to; an older one opens
+  // in the thread view with its context
+  function jumpToMessage(message) {
+    const el = dom.messageStream.querySelector(`[data-id="${message.id}"]`);
+    if (!el) {
+      requestThread(message.id);
+      return;
+    }
+    closeArchive();
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.add('highlight');
+    setTimeout(() => el.classList.remove('highlight'), 2000);
+  }
+
+  function archivePanel() {
+    return document.getElementById('archive-panel');
+  }
+
+  function closeArchive() {
+    const el = archivePanel();
+    if (el) el.remove();
+  }
+
+  // ─── Relationship Graph ───
+  // Present inhabitants on a circle; each directed edge is a curve bending to
+  // its own side, so A→B and B→A stay apart. Thickness is |entanglement|.
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  function renderGraph() {
+    const svg = dom.relationshipGraph;
+    const graph = state.graph;
+    if (!svg || !graph) return;
+    svg.innerHTML = '';
+
+    const nodes = graph.nodes.filter((n) => n.present);
+    const center = 100;
+    const radius = nodes.length > 1 ? 70 : 0;
+    const positions = new Map();
+    nodes.forEach((node, i) => {
+      const angle = (2 * Math.PI * i) / nodes.length - Math.PI / 2;
+      positions.set(node.id, {
+        x: center + radius * Math.cos(angle),
+        y: center + radius * Math.sin(angle),
+      });
+    });
+
+    for (const edge of graph.edges) {
+      const a = positions.get(edge.from);
+      const b = positions.get(edge.to);
+      if (!a || !b || edge.model === 'default') continue;
+
+      // Control point pushed off the midpoint, to the left of travel
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const cx = (a.x + b.x) / 2 - dy * 0.15;
+      const cy = (a.y + b.y) / 2 + dx * 0.15;
+
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', `M${a.x},${a.y} Q${cx},${cy} ${b.x},${b.y}`);
+      path.setAttribute('class', `graph-edge ${edge.bond}`);
+      path.setAttribute('stroke-width', (0.5 + Math.abs(edge.entanglement) * 5).toFixed(2));
+      if (edge.from === state.humanId || edge.to === state.humanId) {
+        path.classList.add('mine');
+      }
+
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = `${nameOf(edge.from)} → ${nameOf(edge.to)}: ${edge.bond} (${edge.entanglement})`;
+      path.appendChild(title);
+      svg.appendChild(path);
+    }
+
+    for (const node of nodes) {
+      const { x, y } = positions.get(node.id);
+      const isHuman = node.kind === 'human';
+      const color = colorOf(node);
+
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('cx', x);
+      circle.setAttribute('cy', y);
+      circle.setAttribute('r', node.id === state.humanId ? 6 : 5);
+      circle.setAttribute('fill', color);
+      circle.setAttribute('class', `graph-node${node.id === state.humanId ? ' mine' : ''}`);
+      svg.appendChild(circle);
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', x);
+      label.setAttribute('y', y + (y >= center ? 16 : -10));
+      label.setAttribute('class', 'graph-label');
+      label.textContent = node.name;
+      svg.appendChild(label);
+    }
+  }
+
+  function nameOf(inhabitantId) {
+    const node = state.graph && state.graph.nodes.find((n) => n.id === inhabitantId);
+    return node ? node.name : '?';
+  }
+
   // ─── Target Selection ───
   function toggleTargetModal() {
     if (state.targetModalOpen) {
@@ -279,27 +994,49 @@
       state.messageTarget === 'world' ? ' active' : ''
     }" data-target="world" data-name="world">→ World (broadcast)</button>`;
 
+    for (const room of state.rooms) {
+      if (!room.members.includes(state.humanId)) continue;
+      html += `<button class="target-option${
+        state.messageTarget === room.id ? ' active' : ''
+      }" data-target="${escapeHtml(room.id)}" data-name="#${escapeHtml(
+        room.name
+      )}">→ #${escapeHtml(room.name)}</button>`;
+    }
+
+    // Inhabitants can be picked together: one message, several recipients
+    html += '<h4>Direct message to (one or more)</h4>';
+    const selected = targetRecipients();
     for (const inhabitant of state.inhabitants) {
       if (inhabitant.id === state.humanId) continue;
-      html += `<button class="target-option${
-        state.messageTarget === inhabitant.id ? ' active' : ''
-      }" data-target="${inhabitant.id}" data-name="${escapeHtml(
-        inhabitant.name
-      )}">→ ${escapeHtml(inhabitant.name)}</button>`;
+      html += `<label class="target-option target-person">
+        <input type="checkbox" data-target="${inhabitant.id}"${
+          selected.includes(inhabitant.id) ? ' checked' : ''
+        }>
+        ${escapeHtml(inhabitant.name)}
+      </label>`;
     }
 
     modal.innerHTML = html;
     document.body.appendChild(modal);
     state.targetModalOpen = true;
 
-    // Bind target option clicks
-    modal.querySelectorAll('.target-option').forEach((btn) => {
+    // World and rooms are picked alone
+    modal.querySelectorAll('button.target-option').forEach((btn) => {
       btn.addEventListener('click', () => {
         setTarget(btn.dataset.target, btn.dataset.name);
         closeTargetModal();
       });
     });
 
+    // Ticking inhabitants builds the recipient list as you go
+    modal.querySelectorAll('.target-person input').forEach((box) => {
+      box.addEventListener('change', () => {
+        const ids = Array.from(modal.querySelectorAll('.target-person input:checked'))
+          .map((b) => b.dataset.target);
+        setRecipients(ids);
+      });
+    });
+
     // Close on outside click
     setTimeout(() => {
       document.addEventListener('click', outsideClickHandler);
@@ -326,14 +1063,42 @@
     dom.targetLabel.textContent = `→ ${targetName}`;
   }
 
+  // Inhabitants the current target sends to directly ([] for world or room)
+  function targetRecipients() {
+    const target = state.messageTarget;
+    if (Array.isArray(target)) return target;
+    return target === 'world' || isRoom(target) ? [] : [target];
+  }
+
+  function setRecipients(ids) {
+    if (ids.length === 0) {
+      setTarget('world', 'world');
+    } else if (ids.length === 1) {
+      setTarget(ids[0], nameOfInhabitant(ids[0]));
+    } else {
+      setTarget(ids, ids.map(nameOfInhabitant).join(', '));
+    }
+  }
+
+  function nameOfInhabitant(id) {
+    const inhabitant = state.inhabitants.find((i) => i.id === id);
+    return inhabitant ? inhabitant.name : nameOf(id);
+  }
+
   // ─── Reply ───
   function setReplyTo(message) {
     state.replyTo = message.id;
     dom.replyToText.textContent = `Replying to ${message.fromName}: "${message.content.substring(0, 60)}${message.content.length > 60 ? '...' : ''}"`;
     dom.replyIndicator.classList.remove('hidden');
 
-    // Auto-set target to the message sender
-    if (message.from !== state.humanId) {
+    // Auto-set target: the room it was said in, everyone in a group
+    // message, else the message sender
+    if (isRoom(message.to)) {
+      setTarget(message.to, roomLabel(message.to));
+    } else if (Array.isArray(message.to)) {
+      setRecipients([message.from, ...message.to].filter((id, i, all) =>
+        id !== state.humanId && all.indexOf(id) === i));
+    } else if (message.from !== state.humanId) {
       setTarget(message.from, message.fromName);
     }
 
@@ -352,10 +1117,15 @@
     });
   }
 
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Safe in text and in quoted attributes alike
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
   function escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return String(str == null ? '' : str).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
   }
 
   // ─── Boot ───
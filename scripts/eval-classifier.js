@@ -0,0 +1,87 @@
+/**
+ * Classifier Evaluation — how well do we tell forks from perturbations?
+ *
+ * Replays labeled conversations through each classifier and reports
+ * accuracy and fork precision/recall/F1, for each fixture:
+ *
+ * - fixtures/classifier.json: the set the fork threshold is fitted to
+ * - fixtures/classifier-holdout.json: held out from fitting the threshold
+ *   (see TfidfNoveltyClassifier for how it has informed the features)
+ *
+ *   npm run eval:classifier
+ *   node scripts/eval-classifier.js --threshold 0.85 --verbose
+ *   node scripts/eval-classifier.js --fixture fixtures/classifier-holdout.json
+ */
+
+const path = require('path');
+const { TfidfNoveltyClassifier, FirstWordClassifier } = require('../src/classifier');
+
+function arg(name) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i === -1 ? undefined : process.argv[i + 1];
+}
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+const fixtureSets = arg('fixture')
+  ? { [path.basename(arg('fixture'), '.json')]: path.resolve(arg('fixture')) }
+  : {
+      tuning: path.join(FIXTURE_DIR, 'classifier.json'),
+      'held-out': path.join(FIXTURE_DIR, 'classifier-holdout.json'),
+    };
+
+const threshold = arg('threshold') ? Number(arg('threshold')) : undefined;
+const verbose = process.argv.includes('--verbose');
+
+const classifiers = {
+  'tfidf-novelty': new TfidfNoveltyClassifier(threshold ? { forkThreshold: threshold } : {}),
+  'first-word (baseline)': new FirstWordClassifier(),
+};
+
+function evaluate(classifier, fixtures) {
+  const counts = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  const misses = [];
+
+  for (const conversation of fixtures.conversations) {
+    const history = [];
+    for (const message of conversation.messages) {
+      if (message.label) {
+        const result = classifier.classify(message, history);
+        const predictedFork = result.label === 'fork';
+        const actualFork = message.label === 'fork';
+        if (predictedFork && actualFork) counts.tp++;
+        else if (predictedFork) counts.fp++;
+        else if (actualFork) counts.fn++;
+        else counts.tn++;
+        if (predictedFork !== actualFork) {
+          misses.push({ id: message.id, expected: message.label, ...result });
+        }
+      }
+      history.push(message);
+    }
+  }
+
+  const total = counts.tp + counts.fp + counts.tn + counts.fn;
+  const precision = counts.tp / (counts.tp + counts.fp) || 0;
+  const recall = counts.tp / (counts.tp + counts.fn) || 0;
+  const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+  return { total, accuracy: (counts.tp + counts.tn) / total, precision, recall, f1, misses };
+}
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+for (const [set, file] of Object.entries(fixtureSets)) {
+  const fixtures = require(file);
+  console.log(`${set} (${path.relative(process.cwd(), file)})`);
+  for (const [name, classifier] of Object.entries(classifiers)) {
+    const r = evaluate(classifier, fixtures);
+    console.log(
+      `  ${name.padEnd(22)} n=${r.total}  accuracy ${pct(r.accuracy)}  ` +
+        `fork precision ${pct(r.precision)}  recall ${pct(r.recall)}  F1 ${r.f1.toFixed(2)}`
+    );
+    if (verbose) {
+      for (const miss of r.misses) {
+        console.log(`    ${miss.id}: expected ${miss.expected}, got ${miss.label} (novelty ${miss.novelty}, confidence ${miss.confidence})`);
+      }
+    }
+  }
+}
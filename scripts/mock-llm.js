@@ -0,0 +1,72 @@
+/**
+ * Mock LLM — a local stand-in for an OpenAI-compatible endpoint
+ *
+ * Answers POST /v1/chat/completions with a short, deterministic reply built
+ * from the last user message, so the provider path can be exercised without
+ * a real model:
+ *
+ *   node scripts/mock-llm.js
+ *   LLM_BASE_URL=http://localhost:8787/v1 npm start
+ *
+ * MOCK_LLM_DELAY (ms) simulates a slow model, to watch the timeout fallback.
+ */
+
+const http = require('http');
+
+const PORT = process.env.MOCK_LLM_PORT || 8787;
+const DELAY = Number(process.env.MOCK_LLM_DELAY) || 0;
+
+function reply(messages) {
+  const system = (messages.find((m) => m.role === 'system') || {}).content || '';
+  const last = [...messages].reverse().find((m) => m.role === 'user');
+  const name = (system.match(/^You are (\w+)/) || [])[1] || 'someone';
+  const quoted = last && last.content.match(/"([^"]*)"\s*$/);
+
+  if (!quoted) {
+    return `${name} here, thinking out loud: what are we not saying to each other?`;
+  }
+  const words = quoted[1].split(/\s+/).filter((w) => w.length > 4);
+  const hook = words[words.length - 1] || 'that';
+  return `When you say "${hook.replace(/[^\w'-]/g, '')}", I hear more than the word. Tell me what it means to you.`;
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'not found' }));
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid JSON' }));
+      return;
+    }
+
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        model: payload.model || 'mock',
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content: reply(payload.messages || []) },
+            finish_reason: 'stop',
+          },
+        ],
+      }));
+    }, DELAY);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock LLM listening on http://localhost:${PORT}/v1`);
+});
@@ -10,15 +10,63 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 
 const { World } = require('./src/world');
+const { JsonlEventStore, JsonSnapshotStore } = require('./src/store');
 const { HumanInhabitant } = require('./src/agent');
-const { createDefaultAgents } = require('./src/agents');
+const { DEFAULT_AGENT_DIR, createDefaultAgents } = require('./src/agents');
+const { createProviderFromEnv } = require('./src/providers');
+const { SessionRegistry } = require('./src/sessions');
+const {
+  validateEnter,
+  validateMessage,
+  validateThreadRequest,
+  validateMemoryQuery,
+  validateRoomCreate,
+  validateRoomRequest,
+} = require('./src/validation');
+const { RateLimiter } = require('./src/ratelimit');
+const { ResponseScheduler } = require('./src/scheduler');
+const { AgentRuntime } = require('./src/runtime');
+const { recipientsOf } = require('./src/addressing');
+const { AgentLifecycle } = require('./src/lifecycle');
 
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.WORLD_DATA_DIR || path.join(__dirname, 'data');
+// Who lives here: a directory of agent definition files
+const AGENT_DIR = process.env.WORLD_AGENT_DIR || DEFAULT_AGENT_DIR;
+const CHECKPOINT_INTERVAL = 60000; // agent snapshots every minute
+const GRAPH_BROADCAST_DELAY = 2000;
+// On shutdown, exit anyway if closing takes longer than this
+const SHUTDOWN_GRACE = 5000;
+// Grants the observer permission: seeing every direct message, agent-to-agent included
+const OBSERVER_KEY = process.env.OBSERVER_KEY || null;
+// Grants the admin API (spawning, retiring and replacing agents); unset disables it
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
+// The HTTP API's version: served at /api/v1, and at /api for the current one
+const API_VERSION = 1;
+// An HTTP client is present until this long after its last request to speak
+const HTTP_PRESENCE = 10 * 60000;
+// At most this many inhabitants are held present by HTTP clients at once
+const MAX_HTTP_PRESENCE = 20;
+
+// ─── Rate Limits ───
+// Any inbound event, per remote address (so reconnecting does not refill
+// it): bursts of 20, then 2 per second
+const socketLimiter = new RateLimiter({ capacity: 20, refillPerSecond: 2 });
+// Messages, per inhabitant across all their tabs: bursts of 5, then one per 2 seconds
+const messageLimiter = new RateLimiter({ capacity: 5, refillPerSecond: 0.5 });
+// New sessions over HTTP, per address: bursts of 3, then one a minute
+const sessionLimiter = new RateLimiter({ capacity: 3, refillPerSecond: 1 / 60 });
 
 // ─── Initialize the World ───
-const world = new World();
+// World memory is replayed from disk, so the world continues across restarts
+const world = new World({
+  store: new JsonlEventStore(path.join(DATA_DIR, 'world-memory.jsonl')),
+});
+// Storm control: admits or suppresses every agent message
+const scheduler = new ResponseScheduler(world);
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
@@ -27,135 +75,638 @@ const io = new Server(server);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ─── Populate the World with Agents ───
-const agents = createDefaultAgents();
+// Agents resume from their last checkpoint (Background Condition A)
+const agentSnapshots = new JsonSnapshotStore(path.join(DATA_DIR, 'agents.json'));
+const savedAgents = agentSnapshots.load() || [];
+let agents;
+try {
+  agents = createDefaultAgents(savedAgents, AGENT_DIR);
+} catch (err) {
+  // A broken definition stops the world before anyone enters it
+  console.error(err.message);
+  process.exit(1);
+}
+// Optional LLM backend; agents fall back to their templates without one
+const provider = createProviderFromEnv();
+
+// Ready an agent to live here: where its words come from, its access to
+// world memory as it can see it (PRD §5), and a record of its moods
+function prepareAgent(agent) {
+  agent.provider = provider;
+  agent.recall = (query) => world.queryMemory({ ...query, viewer: { id: agent.id } });
+  agent.canShare = (memory, to) => world.isVisibleToAudience({ type: 'message', from: memory.from, to: memory.to }, to);
+  agent.onMoodChange = (change) => world.recordAgentState(agent, change);
+}
+
+// Rooms created while an agent was away (or before it existed) may interest it
+function joinInterestingRooms(agent) {
+  for (const room of world.rooms.values()) {
+    if (!room.members.has(agent.id) && agent.considerRoom(room)) world.joinRoom(room.id, agent.id);
+  }
+}
+
+// ─── Agent Lifecycle ───
+// Agents spawned, retired or replaced at runtime stay that way across restarts
+const lifecycle = new AgentLifecycle({
+  world,
+  agents,
+  archive: new JsonSnapshotStore(path.join(DATA_DIR, 'retired-agents.json')),
+  prepare: prepareAgent,
+});
+lifecycle.resume(savedAgents);
+
 for (const agent of agents) {
+  prepareAgent(agent);
   world.enter(agent);
+  joinInterestingRooms(agent);
 }
 
-// ─── Agent Behavior Loop ───
-// Agents live in the world and act on their own schedule
-let agentTickInterval = null;
-
-function startAgentLoop() {
-  agentTickInterval = setInterval(() => {
-    // Occasionally, an agent initiates a message
-    const worldState = world.getState();
-
-    for (const agent of agents) {
-      const initiation = agent.initiate(worldState);
-      if (initiation) {
-        const message = world.processMessage(initiation);
-        if (message) {
-          io.emit('world:message', message);
-        }
-      }
+// ─── Admin API ───
+// Authorization: Bearer <ADMIN_KEY>. Errors are { error: { code, message } }.
+const LIFECYCLE_ERROR_STATUS = { invalid_definition: 400, unknown_agent: 404, name_taken: 409 };
+
+function sameSecret(a, b) {
+  const hash = (s) => crypto.createHash('sha256').update(s).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) {
+    return res.status(404).json({
+      error: { code: 'admin_disabled', message: 'The admin API is disabled. Set ADMIN_KEY to enable it.' },
+    });
+  }
+  const header = req.get('authorization') || '';
+  if (!header.startsWith('Bearer ') || !sameSecret(header.slice('Bearer '.length), ADMIN_KEY)) {
+    return res.status(401).json({ error: { code: 'unauthorized', message: 'A valid admin key is required.' } });
+  }
+  next();
+}
+
+function sendLifecycleResult(res, { value, error }, status = 200) {
+  if (error) return res.status(LIFECYCLE_ERROR_STATUS[error.code] || 400).json({ error });
+  res.status(status).json({ agent: value.toJSON() });
+}
+
+const admin = express.Router();
+admin.use(requireAdmin, express.json({ limit: '100kb' }));
+
+// The roster: who lives here, and who has been retired
+admin.get('/agents', (req, res) => {
+  res.json(lifecycle.list());
+});
+
+// Spawn an agent; the body is an agent definition
+admin.post('/agents', (req, res) => {
+  sendLifecycleResult(res, lifecycle.spawn(req.body), 201);
+});
+
+// Retire an agent; { reason } in the body is optional
+admin.delete('/agents/:id', (req, res) => {
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.slice(0, 200) : undefined;
+  sendLifecycleResult(res, lifecycle.retire(req.params.id, { reason }));
+});
+
+// Replace an agent with a successor; the body is the successor's definition
+admin.post('/agents/:id/replace', (req, res) => {
+  sendLifecycleResult(res, lifecycle.replace(req.params.id, req.body), 201);
+});
+
+app.use('/api/admin', admin);
+
+// ─── Human Sessions ───
+// Returning humans present their token and resume as the same inhabitant
+const sessions = new SessionRegistry({
+  store: new JsonSnapshotStore(path.join(DATA_DIR, 'sessions.json')),
+});
+
+// ─── HTTP API ───
+// World state, memory and posting for bots and dashboards, without a
+// websocket. Most reads need no credentials and see what anyone not yet
+// entered sees; Authorization: Bearer <session token> reads as that
+// inhabitant, and is required to speak or to look into one inhabitant's
+// relationships. The token is the one a browser gets on entering, or one
+// issued by POST /sessions (rate limited per address; HTTP clients hold at
+// most MAX_HTTP_PRESENCE inhabitants present). Errors are
+// { error: { code, message } }.
+const API_ERROR_STATUS = {
+  unauthorized: 401,
+  not_found: 404,
+  unknown_inhabitant: 404,
+  unknown_target: 404,
+  unknown_reply: 404,
+  reserved_name: 409,
+  rate_limited: 429,
+  world_full: 503,
+};
+// HTTP clients hold presence through the session registry, as sockets do
+const HTTP_CONNECTION = 'http';
+const httpPresence = new Map(); // inhabitantId -> timer ending presence
+
+function sendApiError(res, error, extra = {}) {
+  res.status(API_ERROR_STATUS[error.code] || 400).json({ error, ...extra });
+}
+
+function sessionOf(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? sessions.resolve(header.slice('Bearer '.length)) : null;
+}
+
+function apiViewer(session) {
+  return session ? { id: session.inhabitantId, observer: session.observer } : { id: null, observer: false };
+}
+
+// Speaking over HTTP makes an inhabitant present, and keeps them so while
+// they go on speaking; sockets of the same identity share the presence.
+// Returns the inhabitant, or null when HTTP clients hold all they may.
+function holdHttpPresence(session) {
+  const id = session.inhabitantId;
+  if (!httpPresence.has(id) && httpPresence.size >= MAX_HTTP_PRESENCE) return null;
+  if (httpPresence.has(id)) {
+    clearTimeout(httpPresence.get(id));
+  } else if (sessions.attach(id, HTTP_CONNECTION)) {
+    world.enter(world.inhabitants.get(id) || new HumanInhabitant({ id, name: session.name }));
+    io.emit('world:state', world.getState());
+  }
+  const timer = setTimeout(() => {
+    httpPresence.delete(id);
+    if (sessions.detach(id, HTTP_CONNECTION)) {
+      world.leave(id);
+      io.emit('world:state', world.getState());
+    }
+  }, HTTP_PRESENCE);
+  timer.unref();
+  httpPresence.set(id, timer);
+  return world.inhabitants.get(id);
+}
+
+const api = express.Router();
+api.use((req, res, next) => {
+  res.set('API-Version', String(API_VERSION));
+  next();
+});
+
+// Whether the world is running, and who is in it right now
+api.get('/health', (req, res) => {
+  const state = world.getState();
+  res.json({
+    world: 'World IM',
+    status: 'alive',
+    version: API_VERSION,
+    physics: [
+      'Sequential Ordering',
+      'Voluntary Participation',
+      'Directedness',
+      'Persistent Identity',
+      'Information Axiom',
+    ],
+    inhabitants: state.inhabitants.map((i) => i.name),
+    sequence: state.sequence,
+    uptime: Math.round(process.uptime()),
+    message: 'The world is running. Enter voluntarily.',
+    timestamp: new Date().toISOString(),
+  });
+});
+
+api.get('/state', (req, res) => {
+  res.json({ ...world.getState(), rooms: world.getRooms() });
+});
+
+api.get('/inhabitants', (req, res) => {
+  res.json({ inhabitants: world.getState().inhabitants });
+});
+
+// A page of world memory; the query string takes World#queryMemory's
+// filters (types as a comma-separated list) and the previous nextCursor
+api.get('/memory', (req, res) => {
+  const query = { ...req.query };
+  if (typeof query.types === 'string') query.types = query.types.split(',').filter(Boolean);
+  const { value, error } = validateMemoryQuery(query);
+  if (error) return sendApiError(res, error);
+  res.json(world.queryMemory({ ...value, viewer: apiViewer(sessionOf(req)) }));
+});
+
+// The social graph: ?present=true limits it to who is in the world now
+api.get('/relationships', (req, res) => {
+  res.json(
+    world.getRelationshipGraph({ presentOnly: req.query.present === 'true', viewer: apiViewer(sessionOf(req)) })
+  );
+});
+
+// One inhabitant's relationships: their models of everyone they have met,
+// as far as the session's inhabitant may know them
+api.get('/relationships/:id', (req, res) => {
+  const session = sessionOf(req);
+  if (!session) {
+    return sendApiError(res, { code: 'unauthorized', message: 'A valid session token is required.' });
+  }
+  const known = world.knownInhabitants.get(req.params.id);
+  if (!known) {
+    return sendApiError(res, { code: 'unknown_inhabitant', message: 'No such inhabitant has been in the world.' });
+  }
+  res.json({
+    inhabitantId: req.params.id,
+    name: known.name,
+    sequence: world.sequenceCounter,
+    relationships: world.getRelationships(req.params.id, apiViewer(session)),
+  });
+});
+
+// Enter as a new human: { name, observerKey? } -> { id, name, observer, token }
+const WORLD_FULL = { code: 'world_full', message: 'Too many inhabitants are present over HTTP. Try again later.' };
+
+api.post('/sessions', express.json({ limit: '10kb' }), (req, res) => {
+  if (!sessionLimiter.take(req.ip)) {
+    const retryAfter = sessionLimiter.retryAfter(req.ip);
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    return sendApiError(res, { code: 'rate_limited', message: 'Too many new sessions. Slow down.' }, { retryAfter });
+  }
+  if (httpPresence.size >= MAX_HTTP_PRESENCE) return sendApiError(res, WORLD_FULL);
+  const reservedNames = [...agents, ...world.getInhabitants()].map((i) => i.name);
+  const { value, error } = validateEnter(req.body, { reservedNames });
+  if (error) return sendApiError(res, error);
+
+  const { token, session } = sessions.create({
+    name: value.name,
+    observer: Boolean(OBSERVER_KEY && value.observerKey === OBSERVER_KEY),
+  });
+  holdHttpPresence(session);
+  res.status(201).json({ id: session.inhabitantId, name: session.name, observer: session.observer, token });
+});
+
+// Speak: { content, to?, replyTo? }, as in human:message
+api.post('/messages', express.json({ limit: '10kb' }), (req, res) => {
+  const session = sessionOf(req);
+  if (!session) {
+    return sendApiError(res, { code: 'unauthorized', message: 'A valid session token is required.' });
+  }
+  const inhabitant = holdHttpPresence(session);
+  if (!inhabitant) return sendApiError(res, WORLD_FULL);
+  const { value, error, retryAfter } = acceptHumanMessage(inhabitant, apiViewer(session), req.body);
+  if (error) {
+    if (retryAfter) res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    return sendApiError(res, error, retryAfter ? { retryAfter } : {});
+  }
+  res.status(201).json({ message: value });
+});
+
+api.use((req, res) => {
+  sendApiError(res, { code: 'not_found', message: 'There is no such endpoint.' });
+});
+
+// A body that is not JSON, or too large
+api.use((err, req, res, next) => {
+  if (!err.type) return next(err);
+  sendApiError(res, { code: 'invalid_payload', message: 'Expected a JSON body of at most 10kb.' });
+});
+
+app.use(`/api/v${API_VERSION}`, api);
+app.use('/api', api);
+
+// ─── Agent Checkpoints ───
+function checkpointAgents() {
+  try {
+    agentSnapshots.save(agents.map((a) => a.toJSON()));
+  } catch (err) {
+    console.error('Agent checkpoint failed:', err.message);
+  }
+}
+const checkpointInterval = setInterval(checkpointAgents, CHECKPOINT_INTERVAL);
+
+// ─── Message Delivery ───
+// Each inhabitant's sockets join the room `inhabitant:<id>`, and the
+// Socket.IO room named by each world room id they are a member of; observers
+// join `observers`. Broadcasts reach everyone, room messages the room's
+// members, direct messages only their sender and recipients.
+function inhabitantRoom(inhabitantId) {
+  return `inhabitant:${inhabitantId}`;
+}
+
+// Send an event to exactly those who can see `message`
+function deliverAlong(message, eventName, payload) {
+  if (message.to === 'world') {
+    io.emit(eventName, payload);
+    return;
+  }
+  if (world.rooms.has(message.to)) {
+    io.to([message.to, inhabitantRoom(message.from), 'observers']).emit(eventName, payload);
+    return;
+  }
+  const recipients = recipientsOf(message.to).map(inhabitantRoom);
+  io.to([inhabitantRoom(message.from), ...recipients, 'observers']).emit(eventName, payload);
+}
+
+function deliverMessage(message) {
+  deliverAlong(message, 'world:message', message);
+}
+
+// ─── Human Messages ───
+// From a socket or the HTTP API alike: validated, replies only to messages
+// the sender can see, rate limited per inhabitant, then into the world.
+// Returns { value: message } or { error, retryAfter? }.
+function acceptHumanMessage(inhabitant, viewer, payload) {
+  const { value, error } = validateMessage(payload, { world, senderId: inhabitant.id });
+  if (error) return { error };
+
+  // A reply must point at a message that exists in world memory
+  if (value.replyTo) {
+    const parent = world.getEvent(value.replyTo);
+    if (!parent || parent.type !== 'message' || !world.isVisibleTo(parent, viewer)) {
+      return {
+        error: { code: 'unknown_reply', message: 'The message you are replying to does not exist.' },
+      };
     }
-  }, 15000 + Math.random() * 10000); // Every 15-25 seconds
+  }
+
+  if (!messageLimiter.take(inhabitant.id)) {
+    return {
+      error: { code: 'rate_limited', message: 'You are sending messages too quickly.' },
+      retryAfter: messageLimiter.retryAfter(inhabitant.id),
+    };
+  }
+
+  const message = world.processMessage({
+    from: inhabitant.id,
+    to: value.to,
+    content: value.content,
+    replyTo: value.replyTo,
+  });
+  if (message) deliverMessage(message);
+  return { value: message };
 }
 
+// ─── Agent Behavior Loop ───
+// Agents live in the world and act on their own schedule (see runtime.js):
+// answering, initiating, and the periodic decay of bonds and memories
+const runtime = new AgentRuntime({ world, agents, scheduler, deliver: deliverMessage });
+
 // ─── World Event Handlers ───
-world.on('message', (message) => {
-  // When a message enters the world, agents may respond
-  // Add a slight delay for natural feel
-  const respondingAgents = agents.filter((a) => a.id !== message.from);
-
-  for (const agent of respondingAgents) {
-    const delay = 1500 + Math.random() * 4000; // 1.5-5.5 second response time
-    setTimeout(() => {
-      const worldState = world.getState();
-      const response = agent.decideAndRespond(message, worldState);
-      if (response) {
-        const msg = world.processMessage(response);
-        if (msg) {
-          io.emit('world:message', msg);
-        }
-      }
-    }, delay);
+// Contradictions reach whoever saw the message
+world.on('contradiction', (contradiction) => {
+  deliverAlong(world.getEvent(contradiction.messageId), 'world:contradiction', contradiction);
+});
+
+// Mood transitions reach whoever could see the message behind them
+world.on('agent-state', (event) => {
+  const origin = event.messageId && world.getEvent(event.messageId);
+  if (origin) {
+    deliverAlong(origin, 'world:agent-state', event);
+  } else {
+    io.emit('world:agent-state', event);
   }
 });
 
+// Rooms: members' sockets follow their membership, and everyone sees the
+// room list change
+world.on('room', (event) => {
+  if (event.action === 'join') {
+    io.in(inhabitantRoom(event.inhabitantId)).socketsJoin(event.roomId);
+  } else if (event.action === 'leave') {
+    io.in(inhabitantRoom(event.inhabitantId)).socketsLeave(event.roomId);
+  }
+  io.emit('world:rooms', world.getRooms());
+});
+
+// Agents arriving or leaving at runtime: newcomers look for rooms, the
+// roster is checkpointed, and everyone hears of it
+world.on('lifecycle', (event) => {
+  if (event.action !== 'retire') {
+    const agent = lifecycle.find(event.inhabitantId);
+    if (agent) joinInterestingRooms(agent);
+  }
+  checkpointAgents();
+  io.emit('world:lifecycle', event);
+  io.emit('world:state', world.getState());
+});
+
+// The graph changes with every message, bond, arrival and departure;
+// push it to clients at most once per GRAPH_BROADCAST_DELAY, each seeing
+// only what they may know of it
+let graphBroadcastTimer = null;
+function scheduleGraphBroadcast() {
+  if (graphBroadcastTimer) return;
+  graphBroadcastTimer = setTimeout(() => {
+    graphBroadcastTimer = null;
+    for (const socket of io.of('/').sockets.values()) {
+      socket.emit('world:graph', world.getRelationshipGraph({ viewer: socket.data.viewer() }));
+    }
+  }, GRAPH_BROADCAST_DELAY);
+}
+world.on('message', scheduleGraphBroadcast);
+world.on('relationship', scheduleGraphBroadcast);
+world.on('inhabitant:enter', scheduleGraphBroadcast);
+world.on('inhabitant:leave', scheduleGraphBroadcast);
+
 // ─── Socket.IO Connection Handling ───
 io.on('connection', (socket) => {
   let humanInhabitant = null;
+  let observer = false;
+
+  // What this socket may see of world memory
+  const viewer = () => ({ id: humanInhabitant ? humanInhabitant.id : null, observer });
+  socket.data.viewer = viewer;
+
+  // Explain a rejected inbound event to the client
+  function rejectEvent(event, { code, message }, extra = {}) {
+    socket.emit('error', { event, code, message, ...extra });
+  }
+
+  // Throttle every inbound event from this socket's address
+  const address = socket.handshake.address;
+  socket.use(([event], next) => {
+    if (socketLimiter.take(address)) return next();
+    rejectEvent(event, { code: 'rate_limited', message: 'Too many requests. Slow down.' }, {
+      retryAfter: socketLimiter.retryAfter(address),
+    });
+  });
 
   // Send current world state to the newcomer
   socket.emit('world:state', world.getState());
 
-  // Send recent history so the human sees the world has been running
-  const recentMessages = world.getRecentMessages(50);
-  socket.emit('world:history', recentMessages);
+  // Bind this socket to a session's inhabitant; only the first socket of an
+  // identity makes it enter the world (other tabs share its presence)
+  function bindSession(session, token) {
+    humanInhabitant =
+      world.inhabitants.get(session.inhabitantId) ||
+      new HumanInhabitant({ id: session.inhabitantId, name: session.name });
+    observer = session.observer;
 
-  // Human enters the world (PRD §6)
-  socket.on('human:enter', ({ name }) => {
-    humanInhabitant = new HumanInhabitant({
-      name: name || 'Anonymous',
-      socketId: socket.id,
-    });
-    world.enter(humanInhabitant);
+    if (sessions.attach(humanInhabitant.id, socket.id)) {
+      world.enter(humanInhabitant);
+      io.emit('world:state', world.getState());
+    }
+    socket.join(inhabitantRoom(humanInhabitant.id));
+    for (const room of world.roomsOf(humanInhabitant.id)) socket.join(room.id);
+    if (observer) socket.join('observers');
 
     socket.emit('human:entered', {
       id: humanInhabitant.id,
       name: humanInhabitant.name,
+      observer,
+      resumed: !token,
+      token,
     });
+  }
 
-    // Broadcast updated world state
-    io.emit('world:state', world.getState());
-  });
+  // Returning human: the handshake carries their session token
+  const presentedToken = socket.handshake.auth && socket.handshake.auth.token;
+  if (presentedToken) {
+    const session = sessions.resolve(presentedToken);
+    if (session) {
+      bindSession(session, null);
+    } else {
+      socket.emit('session:invalid');
+    }
+  }
 
-  // Human sends a message
-  socket.on('human:message', ({ content, to }) => {
-    if (!humanInhabitant) return;
+  // Send recent history so the human sees the world has been running
+  // (a returning human also sees their own direct messages)
+  const recentMessages = world.getRecentMessages(50, viewer());
+  socket.emit('world:history', recentMessages);
+
+  // Human enters the world (PRD §6)
+  socket.on('human:enter', (payload) => {
+    if (humanInhabitant) return;
+
+    // No one may enter under an inhabitant's name
+    const reservedNames = [...agents, ...world.getInhabitants()].map((i) => i.name);
+    const { value, error } = validateEnter(payload, { reservedNames });
+    if (error) return rejectEvent('human:enter', error);
 
-    const message = world.processMessage({
-      from: humanInhabitant.id,
-      to: to || 'world',
-      content,
+    const { token, session } = sessions.create({
+      name: value.name,
+      observer: Boolean(OBSERVER_KEY && value.observerKey === OBSERVER_KEY),
     });
+    bindSession(session, token);
+  });
 
-    if (message) {
-      io.emit('world:message', message);
+  // Human sends a message
+  socket.on('human:message', (payload) => {
+    if (!humanInhabitant) {
+      return rejectEvent('human:message', {
+        code: 'not_entered',
+        message: 'Enter the world before speaking.',
+      });
     }
+
+    const { error, retryAfter } = acceptHumanMessage(humanInhabitant, viewer(), payload);
+    if (error) return rejectEvent('human:message', error, retryAfter ? { retryAfter } : {});
   });
 
   // Human leaves (PRD §6: "Leaving is unmarked")
+  // Presence ends only when the identity's last socket goes
   socket.on('disconnect', () => {
-    if (humanInhabitant) {
+    if (humanInhabitant && sessions.detach(humanInhabitant.id, socket.id)) {
       world.leave(humanInhabitant.id);
       io.emit('world:state', world.getState());
     }
   });
 
-  // Request world memory
-  socket.on('world:requestMemory', () => {
-    socket.emit('world:memory', world.getMemory());
+  // Rooms (PRD §5: compartmentalization)
+  socket.on('room:create', (payload) => {
+    if (!humanInhabitant) {
+      return rejectEvent('room:create', { code: 'not_entered', message: 'Enter the world first.' });
+    }
+    const { value, error } = validateRoomCreate(payload, { world });
+    if (error) return rejectEvent('room:create', error);
+
+    world.createRoom({ ...value, createdBy: humanInhabitant.id });
+  });
+
+  socket.on('room:join', (payload) => {
+    if (!humanInhabitant) {
+      return rejectEvent('room:join', { code: 'not_entered', message: 'Enter the world first.' });
+    }
+    const { value, error } = validateRoomRequest(payload, { world });
+    if (error) return rejectEvent('room:join', error);
+
+    if (world.joinRoom(value.roomId, humanInhabitant.id)) {
+      // Members read the room's history, including what was said before they came
+      const { events } = world.queryMemory({
+        types: ['message'],
+        to: value.roomId,
+        viewer: viewer(),
+        limit: 50,
+      });
+      io.to(inhabitantRoom(humanInhabitant.id)).emit('world:history', events.reverse());
+    }
+  });
+
+  socket.on('room:leave', (payload) => {
+    if (!humanInhabitant) return;
+    const { value, error } = validateRoomRequest(payload, { world });
+    if (error) return rejectEvent('room:leave', error);
+
+    world.leaveRoom(value.roomId, humanInhabitant.id);
+  });
+
+  socket.on('world:requestRooms', () => {
+    socket.emit('world:rooms', world.getRooms());
+  });
+
+  // Request a page of world memory (filters and cursor: see World#queryMemory)
+  socket.on('world:requestMemory', (payload) => {
+    const { value, error } = validateMemoryQuery(payload);
+    if (error) return rejectEvent('world:requestMemory', error);
+
+    const page = world.queryMemory({ ...value, viewer: viewer() });
+    socket.emit('world:memory', { query: value, ...page });
+  });
+
+  // Request a reply thread around a message
+  socket.on('world:requestThread', (payload) => {
+    const { value, error } = validateThreadRequest(payload);
+    if (error) return rejectEvent('world:requestThread', error);
+
+    const thread = world.getThread(value.messageId, viewer());
+    if (!thread) {
+      return rejectEvent('world:requestThread', {
+        code: 'unknown_message',
+        message: 'No such message in world memory.',
+      });
+    }
+    socket.emit('world:thread', thread);
+  });
+
+  // Request the full relationship graph
+  socket.on('world:requestGraph', () => {
+    socket.emit('world:graph', world.getRelationshipGraph({ viewer: viewer() }));
   });
 
   // Request relationship data
   socket.on('world:requestRelationships', () => {
     if (!humanInhabitant) return;
-    socket.emit('world:relationships', world.getRelationships(humanInhabitant.id));
+    socket.emit('world:relationships', world.getRelationships(humanInhabitant.id, viewer()));
   });
 });
 
 // ─── Start the World ───
 server.listen(PORT, () => {
-  console.log(`World IM is running on port ${PORT}`);
+  console.log(`World IM is running on port ${server.address().port}`);
   console.log(`${agents.length} agents inhabit the world: ${agents.map((a) => a.name).join(', ')}`);
-  startAgentLoop();
+  runtime.start();
+});
 
-  // Kickstart: agents begin conversing
+// ─── Stop the World ───
+// Checkpoint agents and flush world memory to disk before the process exits
+function shutdown() {
+  runtime.stop();
+  clearInterval(checkpointInterval);
+  checkpointAgents();
+  // Everyone leaves on the record, and the record is flushed before exiting.
+  // Closing Socket.IO disconnects its clients and closes the HTTP server,
+  // which would otherwise wait for every open connection to go away.
+  world.leaveAll();
   setTimeout(() => {
-    const firstAgent = agents[0];
-    const message = world.processMessage({
-      from: firstAgent.id,
-      to: 'world',
-      content:
-        "Something has been on my mind. In a world where the only substance is messages — where everything we are to each other passes through this single channel — what does it mean to really know someone?",
-    });
-    if (message) {
-      io.emit('world:message', message);
-    }
-  }, 2000);
-});
+    console.warn(`Shutdown took over ${SHUTDOWN_GRACE}ms; exiting anyway.`);
+    process.exit(1);
+  }, SHUTDOWN_GRACE).unref();
+  world.store.close().then(
+    () => io.close(() => process.exit(0)),
+    () => io.close(() => process.exit(1))
+  );
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 module.exports = { world, agents };
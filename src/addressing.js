@@ -0,0 +1,83 @@
+/**
+ * Addressing — who a message is directed at (Law 3)
+ *
+ * A message's `to` is one of:
+ * - 'world': a broadcast
+ * - a room id ('room:<slug>'): a broadcast to the room's members
+ * - an inhabitant id: a direct message
+ * - a list of inhabitant ids: a direct message to several at once
+ *
+ * Independently of `to`, inline @mentions in the content address
+ * inhabitants by name; the world records them as the message's `mentions`.
+ */
+
+const ROOM_PREFIX = 'room:';
+
+function isRoomId(to) {
+  return typeof to === 'string' && to.startsWith(ROOM_PREFIX);
+}
+
+/**
+ * Said to everyone in a space (the world or a room), not to someone
+ */
+function isBroadcast(to) {
+  return to === 'world' || isRoomId(to);
+}
+
+/**
+ * The inhabitants a message is directly sent to ([] for broadcasts)
+ */
+function recipientsOf(to) {
+  if (Array.isArray(to)) return to;
+  return isBroadcast(to) ? [] : [to];
+}
+
+/**
+ * Everyone a message addresses: its direct recipients and its mentions
+ */
+function addresseesOf(message) {
+  return Array.from(new Set([...recipientsOf(message.to), ...(message.mentions || [])]));
+}
+
+function isAddressedTo(message, inhabitantId) {
+  return addresseesOf(message).includes(inhabitantId);
+}
+
+/**
+ * Ids of the inhabitants @mentioned in content. Names may contain spaces,
+ * so at each "@" the longest name that fits wins ("@Vera Lynn" over "@Vera").
+ * inhabitants: [{ id, name }]
+ */
+function parseMentions(content, inhabitants) {
+  if (!content || !content.includes('@')) return [];
+
+  const candidates = [...inhabitants].sort((a, b) => b.name.length - a.name.length);
+  const lower = content.toLowerCase();
+  const found = [];
+
+  let at = lower.indexOf('@');
+  while (at !== -1) {
+    // An "@" inside a word (an address, say) is not a mention
+    const before = at > 0 ? content[at - 1] : ' ';
+    if (!/[\p{L}\p{N}_]/u.test(before)) {
+      const match = candidates.find((i) => {
+        const name = i.name.toLowerCase();
+        const after = content[at + 1 + name.length] || ' ';
+        return lower.startsWith(name, at + 1) && !/[\p{L}\p{N}_]/u.test(after);
+      });
+      if (match && !found.includes(match.id)) found.push(match.id);
+    }
+    at = lower.indexOf('@', at + 1);
+  }
+  return found;
+}
+
+module.exports = {
+  ROOM_PREFIX,
+  isRoomId,
+  isBroadcast,
+  recipientsOf,
+  addresseesOf,
+  isAddressedTo,
+  parseMentions,
+};
@@ -12,23 +12,120 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { pick } = require('./random');
+const { TemplateProvider, withTimeout, DEFAULT_TIMEOUT } = require('./providers');
+const { detectCommitments, findContradiction } = require('./commitments');
+const { tokenize } = require('./classifier');
+const { isBroadcast, isRoomId, recipientsOf, isAddressedTo } = require('./addressing');
+const { stance } = require('./relationships');
+const { EVALUATION_BASELINE, createFeelings, moodTraits, react, nextMood } = require('./mood');
+const { PREDICTION, learnFrom, predictNext, predictionError } = require('./beliefs');
+const {
+  MEMORY,
+  summarize,
+  createExperience,
+  upgradeEntry,
+  recall,
+  consolidate,
+  describeEntry,
+} = require('./memory');
+
+// Templates are always available, whatever the configured provider
+const templateProvider = new TemplateProvider();
+
+// Attention economics (PRD §5: attention is the primary currency)
+const ATTENTION = {
+  regenPerSecond: 0.01, // a fully drained agent recovers in ~100s
+  evaluationCost: 0.05, // reading costs in proportion to how much it matters
+  responseCost: 0.25, // speaking costs more, also in proportion
+  minResponseCost: 0.05,
+  scarcityThreshold: 0.35, // below this, only valuable or trusted input gets a reply
+  trustedSender: 0.6,
+};
+
+// Evaluations are only read back for the reply to the same message, so
+// only the most recent are kept, and none are snapshotted
+const EVALUATIONS_KEPT = 50;
+
+// Archaeological rediscovery (PRD §5): now and then, dig up an old message
+const REDISCOVERY = {
+  chance: 0.25, // how often an agent goes looking when it speaks
+  cooldown: 25, // events between two rediscoveries by the same agent
+  minAge: 50, // events a message must lie behind the present to count as buried
+  probes: 3, // topic words searched for
+  minSharedTerms: 2, // topic words a buried message must share to be relevant
+};
+
+// Reminiscence: now and then, bring up something from personal memory
+const REMINISCENCE = {
+  chance: 0.2, // how often an agent mentions a memory that came to mind
+  minAge: 50, // events a memory must lie behind the present to be worth bringing up
+};
+
+// Trust calibration (PRD §3: depth-2 recursion drives trust)
+const TRUST = {
+  predictionRate: 0.05, // how far trust moves toward what prediction error suggests
+  reciprocity: 0.02, // pull toward trusting those believed to trust us
+  stanceShift: 0.08, // how much agreement or disagreement moves theirModelOfMe.trust
+  interestGain: 0.1, // being addressed or answered: they are interested in us
+  interestLoss: 0.02, // speaking past us while we wait for an answer
+};
+
+/**
+ * The trust a prediction error suggests: full for someone exactly as
+ * expected, half at the expected error, none well beyond it
+ */
+function trustworthiness(error) {
+  return Math.max(0, Math.min(1, 1 - error * (0.5 / PREDICTION.expectedError)));
+}
+
+// Events heard after speaking, with no reply or mention, before an agent
+// feels ignored
+const IGNORED_AFTER = 8;
 
 class Agent {
-  constructor({ name, personality, interests, style, values }) {
+  constructor({
+    id,
+    name,
+    personality,
+    interests,
+    style,
+    values,
+    mood,
+    engagement,
+    color,
+    templates,
+    provider,
+    providerTimeout,
+    recall,
+    canShare,
+    onMoodChange,
+    random,
+    now,
+  }) {
     // Background Condition A: Persistent Identity
-    this.id = uuidv4();
+    this.id = id || uuidv4();
     this.name = name;
     this.kind = 'agent';
 
+    // Chance and time (seeded and virtual in a simulation)
+    this.random = random || Math.random;
+    this.now = now || Date.now;
+
     // Personality configuration
     this.personality = personality || 'curious and thoughtful';
     this.interests = interests || [];
     this.style = style || 'conversational';
     this.values = values || [];
+    // Hand-written lines by kind (question, agreement, ...); missing kinds
+    // fall back to the generic templates
+    this.templates = templates || {};
+    this.color = color || null; // how the interface draws this inhabitant
 
     // Dimension 1: Evaluation — what this agent cares about
     this.evaluations = new Map(); // messageId -> weight (-1 to 1)
     this.attentionBudget = 1.0; // finite attention (PRD §5)
+    this.attentionUpdatedAt = this.now();
 
     // Dimension 2: Model of Other — representations of other inhabitants
     this.models = new Map(); // inhabitantId -> { beliefs, style, predictedValues, trust }
@@ -37,11 +134,35 @@ class Agent {
     this.experienceLog = []; // personal (lossy) memory
     this.commitments = []; // things this agent has committed to
     this.conversationTopics = []; // topics recently engaged with
+    this.rediscovered = []; // ids of buried messages already brought back
+    this.lastRediscovery = null; // sequence of the last rediscovery
 
-    // Internal state
-    this.mood = 'neutral';
-    this.engagement = 0.5; // 0-1, how engaged the agent currently is
+    // Internal state (see mood.js): the mood moves with experience and
+    // returns to the temperament the agent was defined with
+    this.temperament = mood || 'neutral';
+    this.mood = this.temperament;
+    this.feelings = createFeelings(); // { valence, arousal }
+    this.baseEngagement = typeof engagement === 'number' ? engagement : 0.5;
+    this.engagement = this.baseEngagement; // 0-1, how engaged the agent currently is
     this.silenceTicks = 0; // how long since last message
+    this.spoken = []; // ids of this agent's recent messages, to recognize replies
+    this.awaitingReply = null; // { id, sequence } of the last message not yet answered
+
+    // Reasoning Capacity: where words come from (null = templates only)
+    this.provider = provider || null;
+    this.providerTimeout = providerTimeout || DEFAULT_TIMEOUT;
+
+    // World memory search, query => { events } (see World#queryMemory);
+    // without it the agent has only its own lossy experience log
+    this.recall = recall || null;
+
+    // Whether everyone a message to `to` reaches could have seen what a
+    // memory is of, (memory, to) => boolean (see World#isVisibleToAudience);
+    // without it, only memories of what was said to the world are shared
+    this.canShare = canShare || null;
+
+    // Told of every mood transition, change => void (see World#recordAgentState)
+    this.onMoodChange = onMoodChange || null;
   }
 
   /**
@@ -51,10 +172,14 @@ class Agent {
   evaluate(message) {
     let weight = 0;
 
-    // Direct address is highly weighted
-    if (message.to === this.id) {
-      weight += 0.6;
-    } else if (message.to === 'world') {
+    // Direct address is highly weighted; shared among several recipients,
+    // a little less so. Being @mentioned in public also calls for attention.
+    const recipients = recipientsOf(message.to);
+    if (recipients.includes(this.id)) {
+      weight += 0.6 / Math.sqrt(recipients.length);
+    } else if (isAddressedTo(message, this.id)) {
+      weight += 0.45;
+    } else if (isBroadcast(message.to)) {
       weight += 0.2;
     }
 
@@ -80,23 +205,64 @@ class Agent {
 
     weight = Math.min(1, Math.max(-1, weight));
     this.evaluations.set(message.id, weight);
+    if (this.evaluations.size > EVALUATIONS_KEPT) {
+      this.evaluations.delete(this.evaluations.keys().next().value);
+    }
+
+    // Paying attention is not free
+    this.spendAttention(ATTENTION.evaluationCost * Math.abs(weight));
     return weight;
   }
 
+  /**
+   * Attention regenerates with time, up to a full budget
+   */
+  regenerateAttention(now = this.now()) {
+    this.attentionBudget = this.currentAttention(now);
+    this.attentionUpdatedAt = now;
+    return this.attentionBudget;
+  }
+
+  /**
+   * The budget as it stands now, regenerated or not: what observers see
+   * of an agent that has been idle since it last paid attention
+   */
+  currentAttention(now = this.now()) {
+    const elapsed = Math.max(0, (now - this.attentionUpdatedAt) / 1000);
+    return Math.min(1, this.attentionBudget + elapsed * ATTENTION.regenPerSecond);
+  }
+
+  spendAttention(amount) {
+    this.attentionBudget = Math.max(0, this.attentionBudget - amount);
+  }
+
+  /**
+   * What replying to something of this weight would cost
+   */
+  responseCost(evaluation) {
+    return Math.max(ATTENTION.minResponseCost, ATTENTION.responseCost * evaluation);
+  }
+
   /**
    * Update model of another inhabitant (Dimension 2)
    * "I believe that you believe that I believe..." (depth-2 recursion)
+   *
+   * - what they believe and value, and how they speak (see beliefs.js)
+   * - how well we predicted this message, which calibrates trust
+   * - what they think of us, read from how they respond to us
    */
   updateModel(inhabitantId, message) {
     if (!this.models.has(inhabitantId)) {
       this.models.set(inhabitantId, {
         name: message.fromName,
-        beliefs: [],
+        beliefs: [], // [{ statement, polarity, terms, sequence }]
         style: 'unknown',
-        predictedValues: [],
+        predictedValues: [], // [{ value, weight }], heaviest first
         trust: 0.5,
         messageCount: 0,
         lastSeen: null,
+        prediction: null, // { terms, style } expected of their next message
+        predictionError: null, // running average, 0-1
         // Depth-2: what do I think they think about me?
         theirModelOfMe: {
           trust: 0.5,
@@ -107,51 +273,48 @@ class Agent {
 
     const model = this.models.get(inhabitantId);
     model.messageCount++;
-    model.lastSeen = Date.now();
+    model.lastSeen = this.now();
 
-    // Infer style from message patterns
-    const content = message.content || '';
-    if (content.includes('?')) {
-      model.style = 'inquisitive';
-    } else if (content.length > 200) {
-      model.style = 'verbose';
-    } else if (content.length < 30) {
-      model.style = 'terse';
+    // Score what we expected them to say, then learn from what they said
+    if (model.prediction) {
+      const error = predictionError(model.prediction, message);
+      model.predictionError = model.predictionError == null
+        ? error
+        : model.predictionError * 0.8 + error * 0.2;
+      model.trust += TRUST.predictionRate * (trustworthiness(error) - model.trust);
     }
+    learnFrom(model, message);
+    model.prediction = predictNext(model);
 
-    // Slight trust increase for each interaction (mere exposure)
-    model.trust = Math.min(1, model.trust + 0.02);
-
-    // If they addressed us directly, update depth-2 model
-    if (message.to === this.id) {
-      model.theirModelOfMe.interest = Math.min(1, model.theirModelOfMe.interest + 0.1);
+    // Depth-2: how they respond to us is what they think of us
+    const mine = model.theirModelOfMe;
+    if (isAddressedTo(message, this.id) || this.spoken.includes(message.replyTo)) {
+      mine.interest = Math.min(1, mine.interest + TRUST.interestGain);
+      const signal = stance(message.content);
+      mine.trust = Math.max(0, Math.min(1, mine.trust + signal * TRUST.stanceShift));
+    } else if (this.awaitingReply) {
+      mine.interest = Math.max(0, mine.interest - TRUST.interestLoss);
     }
+
+    // We lean toward trusting those we believe trust us
+    model.trust += TRUST.reciprocity * (mine.trust - 0.5) * 2;
+    model.trust = Math.max(0, Math.min(1, model.trust));
   }
 
   /**
    * Integrate experience into temporal memory (Dimension 3)
-   * Personal memory is lossy (unlike world memory)
+   * Personal memory is lossy (unlike world memory): only what mattered is
+   * stored, and it fades unless recalled (see memory.js)
    */
   integrateExperience(message, evaluation) {
-    // Store with decay — only keep salient experiences
-    if (evaluation > 0.3) {
-      this.experienceLog.push({
-        sequence: message.sequence,
-        from: message.from,
-        fromName: message.fromName,
-        summary: this.summarize(message.content),
-        evaluation,
-        timestamp: message.timestamp,
-      });
+    if (evaluation >= MEMORY.minEvaluation) {
+      const experience = createExperience(message, evaluation);
+      if (experience.terms.length) this.experienceLog.push(experience);
     }
 
-    // Lossy: keep only recent experiences (agent memory is finite)
-    if (this.experienceLog.length > 100) {
-      // Keep first 10 (formative) and last 80 (recent)
-      this.experienceLog = [
-        ...this.experienceLog.slice(0, 10),
-        ...this.experienceLog.slice(-80),
-      ];
+    // Agent memory is finite: past capacity, consolidate without waiting
+    if (this.experienceLog.length > MEMORY.capacity) {
+      this.consolidateMemory({ sequence: message.sequence });
     }
 
     // Track conversation topics
@@ -164,11 +327,54 @@ class Agent {
     }
   }
 
+  /**
+   * Fold faded experiences into gists and forget the faintest. The server
+   * runs this periodically; a full memory runs it at once.
+   */
+  consolidateMemory({ sequence, now = this.now() }) {
+    this.experienceLog = consolidate(this.experienceLog, { sequence, now });
+    return this.experienceLog;
+  }
+
+  /**
+   * Recall personal memories about `content` (and, a little, about `from`),
+   * most relevant first. What is recalled is refreshed.
+   */
+  remember(content, { from = null, sequence, limit = 4 } = {}) {
+    const terms = Array.from(new Set(tokenize(content)));
+    if (terms.length === 0) return [];
+    return recall(this.experienceLog, { terms, from, limit }, { sequence, now: this.now() })
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Whether a memory may be spoken of in a message to `to`: a private
+   * message is never repeated to anyone who was not party to it
+   */
+  mayShare(memory, to) {
+    if (memory.to === undefined) return false; // remembered before audiences were
+    if (this.canShare) return this.canShare(memory, to);
+    return memory.to === 'world';
+  }
+
+  /**
+   * Now and then, one of the recalled memories is old enough to be worth
+   * bringing up in a message to `to`. Returns it or null.
+   */
+  reminisce(memories, sequence, to) {
+    if (sequence == null || this.random() >= REMINISCENCE.chance) return null;
+    return memories.find((m) => sequence - m.sequence >= REMINISCENCE.minAge && this.mayShare(m, to)) || null;
+  }
+
   /**
    * Decide whether to respond and generate a response (Reasoning Capacity)
    * This is the core "action" method — voluntary participation (Law 2)
+   * Resolves to a message to send, or null for silence. Once the agent has
+   * decided to speak, admit() (the world's storm control) may still silence
+   * it, before any attention is spent on the words.
    */
-  decideAndRespond(message, worldState) {
+  async decideAndRespond(message, worldState, admit = () => true) {
+    this.regenerateAttention();
     const evaluation = this.evaluate(message);
 
     // Update model of sender
@@ -179,27 +385,35 @@ class Agent {
     // Integrate into temporal experience
     this.integrateExperience(message, evaluation);
 
+    // How the message lands colors the agent's mood
+    this.reactTo(message, evaluation);
+
     // Decision: should I respond? (Law 2: participation is voluntary)
     const shouldRespond = this.shouldRespond(message, evaluation, worldState);
 
-    if (!shouldRespond) {
+    if (!shouldRespond || !admit()) {
       this.silenceTicks++;
       return null;
     }
 
     this.silenceTicks = 0;
+    this.spendAttention(this.responseCost(evaluation));
 
     // Generate response
-    const response = this.generateResponse(message, worldState);
-    return response;
+    return this.generateResponse(message, worldState);
   }
 
   /**
    * Decide whether to speak — silence is also a choice (Law 2)
    */
   shouldRespond(message, evaluation, worldState) {
-    // Always respond to direct address
-    if (message.to === this.id) {
+    // An agent cannot spend attention it does not have
+    if (this.attentionBudget < this.responseCost(evaluation)) {
+      return false;
+    }
+
+    // Always respond to direct address, including an @mention
+    if (isAddressedTo(message, this.id)) {
       return true;
     }
 
@@ -208,6 +422,15 @@ class Agent {
       return false;
     }
 
+    // Scarce attention goes to what matters, or to those already trusted
+    if (this.attentionBudget < ATTENTION.scarcityThreshold) {
+      const model = this.models.get(message.from);
+      const trusted = model && model.trust >= ATTENTION.trustedSender;
+      if (!trusted && evaluation < 0.5) {
+        return false;
+      }
+    }
+
     // Probability-based response for broadcast messages
     let responseProbability = evaluation * 0.5;
 
@@ -218,25 +441,100 @@ class Agent {
     const inhabitantCount = worldState.inhabitantCount || 1;
     responseProbability /= Math.log2(inhabitantCount + 1);
 
-    // Engagement factor
-    responseProbability *= this.engagement;
+    // Engagement factor, and the mood of the moment
+    responseProbability *= this.engagement * moodTraits(this.mood).respond;
+
+    return this.random() < responseProbability;
+  }
+
+  /**
+   * Feel what a message means to this agent: how much it mattered, being
+   * addressed or answered, being agreed or disagreed with, and — once enough
+   * has been said since it last spoke without anyone answering — being ignored
+   */
+  reactTo(message, evaluation) {
+    const stimuli = [['evaluation', evaluation - EVALUATION_BASELINE]];
+    let messageId = message.id;
+
+    // A reply to something it said addresses the agent too
+    if (isAddressedTo(message, this.id) || this.spoken.includes(message.replyTo)) {
+      stimuli.push(['addressed', 1]);
+      const signal = stance(message.content);
+      if (signal > 0) stimuli.push(['agreement', 1]);
+      if (signal < 0) stimuli.push(['disagreement', 1]);
+      this.awaitingReply = null;
+    } else if (this.awaitingReply && message.sequence - this.awaitingReply.sequence >= IGNORED_AFTER) {
+      stimuli.push(['ignored', 1]);
+      messageId = this.awaitingReply.id;
+      this.awaitingReply = null;
+    }
+
+    return this.feel(stimuli, messageId);
+  }
+
+  /**
+   * Apply stimuli ([[name, scale]], see mood.js) and move the mood if they
+   * call for it. The last stimulus, the most specific, is reported as the
+   * cause.
+   */
+  feel(stimuli, messageId = null) {
+    for (const [stimulus, scale] of stimuli) react(this, stimulus, scale);
+
+    const previousMood = this.mood;
+    this.mood = nextMood(this.mood, this.temperament, this.feelings);
+    if (this.mood === previousMood) return null;
+
+    const change = {
+      mood: this.mood,
+      previousMood,
+      engagement: Math.round(this.engagement * 100) / 100,
+      valence: Math.round(this.feelings.valence * 100) / 100,
+      arousal: Math.round(this.feelings.arousal * 100) / 100,
+      cause: stimuli[stimuli.length - 1][0],
+      messageId,
+    };
+    if (this.onMoodChange) this.onMoodChange(change);
+    return change;
+  }
 
-    return Math.random() < responseProbability;
+  /**
+   * One of this agent's messages entered world memory; replies to it (or
+   * their absence) are now something to feel
+   */
+  recordOwnMessage(message) {
+    this.spoken.push(message.id);
+    if (this.spoken.length > 20) {
+      this.spoken = this.spoken.slice(-20);
+    }
+    this.awaitingReply = { id: message.id, sequence: message.sequence };
   }
 
   /**
    * Generate a response based on agent's personality, models, and memory
    */
-  generateResponse(message, worldState) {
-    const content = message.content || '';
-    const senderModel = this.models.get(message.from);
-    const recentTopics = this.conversationTopics.slice(-5);
+  async generateResponse(message, worldState) {
+    // Determine response target (Law 3: directedness): answer a direct
+    // message directly (all of a group), and a broadcast where it was said
+    const to = isBroadcast(message.to)
+      ? message.to
+      : [message.from, ...recipientsOf(message.to).filter((id) => id !== this.id)];
 
-    // Determine response target (Law 3: directedness)
-    const to = message.to === this.id ? message.from : 'world';
+    // Something buried in world memory may speak to this; failing that,
+    // something from the agent's own memory may come back to it
+    const rediscovered = this.rediscover(message.content, message.sequence);
+    const memories = this.remember(message.content, { from: message.from, sequence: message.sequence })
+      .filter((m) => this.mayShare(m, to));
+    const remembered = rediscovered ? null : this.reminisce(memories, message.sequence, to);
 
     // Build response based on personality and context
-    let response = this.craftResponse(content, senderModel, recentTopics, worldState);
+    const prompt = this.buildPrompt('response', message, worldState, { to, rediscovered, memories, remembered });
+    let response = await this.speak(prompt);
+
+    // Don't go back on our word: retry with templates, else stay silent
+    if (this.contradictsOwnCommitments(response)) {
+      response = await templateProvider.generate(prompt, this);
+      if (this.contradictsOwnCommitments(response)) return null;
+    }
 
     return {
       from: this.id,
@@ -246,10 +544,213 @@ class Agent {
       meta: {
         evaluation: this.evaluations.get(message.id),
         mood: this.mood,
+        attention: this.attentionBudget,
+        ...(rediscovered && { cites: [this.citationOf(rediscovered)] }),
       },
     };
   }
 
+  /**
+   * Archaeological rediscovery (PRD §5): search world memory — not the lossy
+   * experience log — for a buried message about the same things as `content`.
+   * Only now and then, and never the same message twice. Returns it or null.
+   */
+  rediscover(content, sequence) {
+    if (!this.recall || sequence == null) return null;
+    if (this.lastRediscovery != null && sequence - this.lastRediscovery < REDISCOVERY.cooldown) {
+      return null;
+    }
+    if (this.random() >= REDISCOVERY.chance) return null;
+
+    const terms = new Set(tokenize(content));
+    if (terms.size < REDISCOVERY.minSharedTerms) return null;
+
+    // Longer words say the most about a topic; search for those
+    const probes = Array.from(terms)
+      .sort((a, b) => b.length - a.length)
+      .slice(0, REDISCOVERY.probes);
+
+    let best = null;
+    for (const probe of probes) {
+      const { events } = this.recall({
+        types: ['message'],
+        to: 'world',
+        sequenceTo: sequence - REDISCOVERY.minAge,
+        text: probe,
+        limit: 10,
+      });
+      for (const candidate of events) {
+        if (this.rediscovered.includes(candidate.id)) continue;
+        const shared = new Set(tokenize(candidate.content).filter((t) => terms.has(t))).size;
+        if (shared >= REDISCOVERY.minSharedTerms && (!best || shared > best.shared)) {
+          best = { message: candidate, shared };
+        }
+      }
+    }
+    if (!best) return null;
+
+    this.lastRediscovery = sequence;
+    this.rediscovered.push(best.message.id);
+    if (this.rediscovered.length > 50) {
+      this.rediscovered = this.rediscovered.slice(-50);
+    }
+    return best.message;
+  }
+
+  /**
+   * How a message refers back to a rediscovered one (meta.cites)
+   */
+  citationOf(message) {
+    return { messageId: message.id, sequence: message.sequence };
+  }
+
+  /**
+   * Whether to join a room (PRD §5: compartmentalization): agents go
+   * where their interests are being discussed
+   */
+  considerRoom(room) {
+    const roomTerms = new Set(tokenize(`${room.name} ${room.topic || ''}`));
+    return tokenize(this.interests.join(' ')).some((t) => roomTerms.has(t));
+  }
+
+  /**
+   * Would saying this contradict something this agent is committed to?
+   */
+  contradictsOwnCommitments(content) {
+    return detectCommitments(content).some((c) => findContradiction(c, this.commitments));
+  }
+
+  /**
+   * A commitment of ours entered world memory (Dimension 3)
+   */
+  recordCommitment(event) {
+    this.commitments.push({
+      id: event.id,
+      messageId: event.messageId,
+      sequence: event.sequence,
+      kind: event.kind,
+      polarity: event.polarity,
+      statement: event.statement,
+      terms: event.terms,
+    });
+    if (this.commitments.length > 50) {
+      this.commitments = this.commitments.slice(-50);
+    }
+  }
+
+  /**
+   * Someone went back on their word (Dimension 2): trust them less
+   */
+  observeContradiction(event) {
+    if (event.inhabitantId === this.id) return;
+    const model = this.models.get(event.inhabitantId);
+    if (!model) return;
+    model.trust = Math.max(0, model.trust - 0.15);
+    model.contradictions = (model.contradictions || 0) + 1;
+  }
+
+  /**
+   * Build a structured prompt from who this agent is, what it thinks of the
+   * sender and what it remembers. Providers use `system` + `messages`;
+   * the template provider uses `context`.
+   */
+  buildPrompt(kind, message, worldState, { to = 'world', rediscovered = null, memories = [], remembered = null } = {}) {
+    const senderModel = message ? this.models.get(message.from) : null;
+    const recentTopics = this.conversationTopics.slice(-5);
+    // Only what the audience could know may colour what is said to them
+    const recentExperiences = this.experienceLog.slice(-3).filter((m) => this.mayShare(m, to));
+    // What comes to mind: memories recalled for this moment, then the latest
+    const recalled = memories.filter((m) => !recentExperiences.includes(m));
+
+    const system = [
+      `You are ${this.name}, an inhabitant of World IM — a world made entirely of messages.`,
+      `Personality: ${this.personality}.`,
+      `Style: ${this.style}. Current mood: ${this.mood}.`,
+      moodTraits(this.mood).tone ? `You feel ${moodTraits(this.mood).tone}.` : null,
+      this.values.length ? `You value: ${this.values.join(', ')}.` : null,
+      this.interests.length ? `You are drawn to: ${this.interests.join(', ')}.` : null,
+      'Reply with a single short message (one to three sentences), in character. No name prefix.',
+    ].filter(Boolean).join('\n');
+
+    const memory = [...recalled, ...recentExperiences].map(describeEntry).join('\n');
+
+    let instruction;
+    if (kind === 'initiation') {
+      instruction = 'Nobody has addressed you. Say something to the world, unprompted.';
+    } else {
+      const modelText = senderModel
+        ? this.describeModel(senderModel)
+        : `You have no model of ${message.fromName} yet.`;
+      const direct = this.describeAddress(message);
+      instruction = `${modelText}\n${message.fromName}${direct} says:\n"${message.content || ''}"`;
+    }
+
+    if (rediscovered) {
+      instruction += `\n\nBuried in world memory, ${rediscovered.fromName} once said (#${rediscovered.sequence}):\n` +
+        `"${rediscovered.content}"\nBring it back into the conversation and cite it as #${rediscovered.sequence}.`;
+    }
+    if (remembered) {
+      instruction += `\n\nThis memory has come back to you:\n${describeEntry(remembered)}\n` +
+        'Bring it up, as something remembered (your memory is not perfect).';
+    }
+
+    return {
+      kind,
+      system,
+      messages: [
+        {
+          role: 'user',
+          content: memory ? `What you remember:\n${memory}\n\n${instruction}` : instruction,
+        },
+      ],
+      context: { message, senderModel, recentTopics, recentExperiences, memories, rediscovered, remembered, worldState },
+    };
+  }
+
+  /**
+   * What this agent makes of someone, for the prompt
+   */
+  describeModel(model) {
+    const lines = [
+      `Your model of ${model.name}: style ${model.style}, trust ${model.trust.toFixed(2)}, ${model.messageCount} messages seen.`,
+    ];
+    const beliefs = model.beliefs.slice(-3).map((b) => `"${b.statement}"`);
+    if (beliefs.length) lines.push(`They have said: ${beliefs.join('; ')}.`);
+    const values = model.predictedValues.slice(0, 3).map((v) => v.value);
+    if (values.length) lines.push(`They seem to value: ${values.join(', ')}.`);
+    const { trust, interest } = model.theirModelOfMe;
+    lines.push(`You sense they trust you ${trust.toFixed(2)} and are interested in you ${interest.toFixed(2)}.`);
+    return lines.join('\n');
+  }
+
+  /**
+   * How a message reached this agent, for the prompt
+   */
+  describeAddress(message) {
+    const recipients = recipientsOf(message.to);
+    if (message.to === this.id) return ' (addressed to you directly)';
+    if (recipients.includes(this.id)) return ` (addressed to you and ${recipients.length - 1} other(s))`;
+    const where = isRoomId(message.to) ? 'in a room' : 'to the world';
+    if (isAddressedTo(message, this.id)) return ` (said ${where}, mentioning you)`;
+    return ` (said ${where})`;
+  }
+
+  /**
+   * Ask the provider for words, falling back to templates if it is absent,
+   * fails, times out, or has nothing to say
+   */
+  async speak(prompt) {
+    if (this.provider) {
+      try {
+        const text = await withTimeout(this.provider.generate(prompt, this), this.providerTimeout);
+        if (text) return text;
+      } catch (err) {
+        console.warn(`${this.name}: provider failed (${err.message}), using templates`);
+      }
+    }
+    return templateProvider.generate(prompt, this);
+  }
+
   /**
    * Craft a response reflecting the agent's personality
    */
@@ -277,36 +778,33 @@ class Agent {
       }
     }
 
-    // Default: offer a perspective based on personality
+    // Otherwise the mood decides: warmth agrees, agitation pushes back,
+    // and a settled agent offers a perspective based on personality
+    const { lean } = moodTraits(this.mood);
+    if (lean === 'agreement') return this.respondToAgreement(inputContent, templates);
+    if (lean === 'disagreement') return this.respondToDisagreement(inputContent, templates);
     return this.offerPerspective(inputContent, recentTopics, templates);
   }
 
   respondToQuestion(content, senderModel, templates) {
     const trust = senderModel ? senderModel.trust : 0.5;
-    const options = templates.questionResponses;
-    const response = options[Math.floor(Math.random() * options.length)];
-    return response;
+    return pick(this.random, templates.questionResponses);
   }
 
   respondToAgreement(content, templates) {
-    const options = templates.agreementResponses;
-    return options[Math.floor(Math.random() * options.length)];
+    return pick(this.random, templates.agreementResponses);
   }
 
   respondToDisagreement(content, templates) {
-    const options = templates.disagreementResponses;
-    return options[Math.floor(Math.random() * options.length)];
+    return pick(this.random, templates.disagreementResponses);
   }
 
   respondToInterest(interest, content, templates) {
-    const options = templates.interestResponses;
-    const response = options[Math.floor(Math.random() * options.length)];
-    return response.replace('{interest}', interest);
+    return pick(this.random, templates.interestResponses).replace(/\{interest\}/g, interest);
   }
 
   offerPerspective(content, recentTopics, templates) {
-    const options = templates.perspectiveResponses;
-    return options[Math.floor(Math.random() * options.length)];
+    return pick(this.random, templates.perspectiveResponses);
   }
 
   /**
@@ -315,27 +813,27 @@ class Agent {
    */
   getResponseTemplates() {
     return {
-      questionResponses: this._questionTemplates || [
+      questionResponses: this.templates.question || [
         "That's a question I've been turning over. My sense is that it depends on what we value most here.",
         "I think the answer isn't singular — there are layers to consider.",
         "From where I stand, the question itself might be more revealing than any answer.",
       ],
-      agreementResponses: this._agreementTemplates || [
+      agreementResponses: this.templates.agreement || [
         "There's something to that. Let me build on it a bit.",
         "I see that alignment, though I'd frame the implication differently.",
         "Agreed on the surface — but I wonder if we're agreeing for different reasons.",
       ],
-      disagreementResponses: this._disagreementTemplates || [
+      disagreementResponses: this.templates.disagreement || [
         "I hear the objection. Let me offer a different angle.",
         "That tension is real. I'm not sure it resolves easily.",
         "Interesting pushback. I think the friction here is productive.",
       ],
-      interestResponses: this._interestTemplates || [
+      interestResponses: this.templates.interest || [
         "Ah, {interest} — that's precisely what I've been thinking about.",
         "This touches on {interest} in a way that matters, I think.",
         "The connection to {interest} here is worth dwelling on.",
       ],
-      perspectiveResponses: this._perspectiveTemplates || [
+      perspectiveResponses: this.templates.perspective || [
         "Something here strikes me. The pattern isn't quite what it first appears.",
         "I notice we're circling something important without naming it directly.",
         "Let me offer this: the constraint we're not discussing might be the one that matters most.",
@@ -344,25 +842,47 @@ class Agent {
   }
 
   /**
-   * Initiate a message (not in response to anyone — voluntary action)
+   * Initiate a message (not in response to anyone — voluntary action).
+   * As with a reply, admit() may silence it before attention is spent.
    */
-  initiate(worldState) {
+  async initiate(worldState, admit = () => true) {
     // Agents sometimes start conversations on their own
-    if (Math.random() > 0.3) return null;
+    if (this.random() > 0.3) return null;
+
+    // Speaking unprompted needs spare attention
+    this.regenerateAttention();
+    if (this.attentionBudget < ATTENTION.scarcityThreshold) return null;
+    if (!admit()) return null;
+    this.spendAttention(ATTENTION.responseCost * 0.5);
+
+    // An unprompted message may resurface something on the agent's mind
+    const topics = [...this.conversationTopics.slice(-5), ...this.interests].join(' ');
+    const rediscovered = this.rediscover(topics, worldState.sequence);
+    const memories = this.remember(topics, { sequence: worldState.sequence })
+      .filter((m) => this.mayShare(m, 'world'));
+    const remembered = rediscovered ? null : this.reminisce(memories, worldState.sequence, 'world');
 
-    const topics = this.getInitiationTopics();
-    const topic = topics[Math.floor(Math.random() * topics.length)];
+    const prompt = this.buildPrompt('initiation', null, worldState, { rediscovered, memories, remembered });
+    const content = await this.speak(prompt);
 
     return {
       from: this.id,
       to: 'world',
-      content: topic,
+      content,
       replyTo: null,
-      meta: { mood: this.mood, initiated: true },
+      meta: {
+        mood: this.mood,
+        attention: this.attentionBudget,
+        initiated: true,
+        ...(rediscovered && { cites: [this.citationOf(rediscovered)] }),
+      },
     };
   }
 
   getInitiationTopics() {
+    if (this.templates.initiation) {
+      return this.templates.initiation.map((t) => t.replace(/\{interest\}/g, this.interests[0] || 'this world'));
+    }
     return [
       "I've been thinking about something.",
       `There's something about ${this.interests[0] || 'this world'} that keeps drawing my attention.`,
@@ -372,12 +892,32 @@ class Agent {
   }
 
   /**
-   * Summarize content for lossy memory storage
+   * Ways to bring a buried message back into the conversation
    */
-  summarize(content) {
-    if (!content) return '';
-    if (content.length <= 80) return content;
-    return content.substring(0, 77) + '...';
+  getRediscoveryTemplates(buried) {
+    const quote = `"${summarize(buried.content)}"`;
+    return [
+      `This takes me back to #${buried.sequence}, where ${buried.fromName} said: ${quote} It reads differently now.`,
+      `Buried at #${buried.sequence}, ${buried.fromName} wrote: ${quote} I don't think we ever finished that thought.`,
+      `${buried.fromName} said this long ago (#${buried.sequence}): ${quote} It belongs in this conversation.`,
+    ];
+  }
+
+  /**
+   * Ways to bring up something from personal memory — as remembered, which
+   * for a gist means the drift of many moments rather than one
+   */
+  getReminiscenceTemplates(memory) {
+    if (memory.kind === 'gist') {
+      return [
+        `${memory.fromName} keeps coming back to ${memory.topic} — ${memory.count} times, if I remember right. "${memory.summary}" is the one that stayed with me.`,
+        `I've heard ${memory.fromName} on ${memory.topic} before, more than once. Something like: "${memory.summary}"`,
+      ];
+    }
+    return [
+      `I remember ${memory.fromName} saying something like "${memory.summary}" — a while back, around #${memory.sequence}.`,
+      `This brings back something ${memory.fromName} said long ago: "${memory.summary}" I keep returning to it.`,
+    ];
   }
 
   /**
@@ -391,6 +931,8 @@ class Agent {
 
   /**
    * Serialize agent state (for persistence)
+   * A full snapshot: identity, configuration and everything the agent has
+   * learned, so a restored agent is the same inhabitant (Background Condition A)
    */
   toJSON() {
     return {
@@ -401,10 +943,62 @@ class Agent {
       interests: this.interests,
       style: this.style,
       values: this.values,
-      mood: this.mood,
-      engagement: this.engagement,
+      color: this.color,
+      templates: this.templates,
+      mood: this.temperament,
+      engagement: this.baseEngagement,
+      currentMood: this.mood,
+      currentEngagement: this.engagement,
+      feelings: this.feelings,
+      silenceTicks: this.silenceTicks,
+      attentionBudget: this.attentionBudget,
+      attentionUpdatedAt: this.attentionUpdatedAt,
+      models: Array.from(this.models.entries()),
+      experienceLog: this.experienceLog,
+      commitments: this.commitments,
+      conversationTopics: this.conversationTopics,
+      rediscovered: this.rediscovered,
+      lastRediscovery: this.lastRediscovery,
+      spoken: this.spoken,
+      awaitingReply: this.awaitingReply,
     };
   }
+
+  /**
+   * Restore learned state from a snapshot produced by toJSON().
+   * Configuration (personality, templates) stays as constructed.
+   */
+  restore(snapshot) {
+    if (snapshot.id) this.id = snapshot.id;
+    // Older snapshots only have the current mood and engagement
+    const mood = snapshot.currentMood || snapshot.mood;
+    if (mood) this.mood = mood;
+    const engagement = typeof snapshot.currentEngagement === 'number' ? snapshot.currentEngagement : snapshot.engagement;
+    if (typeof engagement === 'number') this.engagement = engagement;
+    if (snapshot.feelings) this.feelings = { ...this.feelings, ...snapshot.feelings };
+    if (typeof snapshot.silenceTicks === 'number') this.silenceTicks = snapshot.silenceTicks;
+    if (typeof snapshot.attentionBudget === 'number') {
+      this.attentionBudget = snapshot.attentionBudget;
+      this.attentionUpdatedAt = snapshot.attentionUpdatedAt || this.now();
+    }
+    this.models = new Map(snapshot.models || []);
+    this.experienceLog = (snapshot.experienceLog || []).map(upgradeEntry);
+    this.commitments = snapshot.commitments || [];
+    this.conversationTopics = snapshot.conversationTopics || [];
+    this.rediscovered = snapshot.rediscovered || [];
+    this.lastRediscovery = snapshot.lastRediscovery != null ? snapshot.lastRediscovery : null;
+    this.spoken = snapshot.spoken || [];
+    this.awaitingReply = snapshot.awaitingReply || null;
+    return this;
+  }
+
+  /**
+   * Rebuild an agent from a snapshot, keeping its id
+   * options: as for the constructor (e.g. { random, now })
+   */
+  static fromJSON(snapshot, options = {}) {
+    return new Agent({ ...snapshot, ...options }).restore(snapshot);
+  }
 }
 
 /**
@@ -413,11 +1007,11 @@ class Agent {
  *  They bring out-of-distribution input."
  */
 class HumanInhabitant {
-  constructor({ name, socketId }) {
-    this.id = uuidv4();
+  constructor({ id, name }) {
+    // A returning human keeps the id issued with their session
+    this.id = id || uuidv4();
     this.name = name;
     this.kind = 'human';
-    this.socketId = socketId;
   }
 
   toJSON() {
@@ -1,5 +1,5 @@
 /**
- * Default Agent Configurations for World IM
+ * Agent Population for World IM
  *
  * Each agent is a distinct inhabitant with:
  * - Persistent identity
@@ -7,172 +7,49 @@
  * - Distinct communication style
  * - Custom response templates reflecting their character
  *
+ * Who they are is declared in definition files (see ./definitions);
+ * this module turns definitions into living agents.
+ *
  * Per PRD §5: "apparent diversity of thought may be shallower than it appears"
  * — this is the multiplicity problem, acknowledged and accepted for MVP.
  */
 
+const path = require('path');
+const { v5: uuidv5 } = require('uuid');
 const { Agent } = require('./agent');
+const { loadAgentDefinitions } = require('./definitions');
 
-function createDefaultAgents() {
-  const agents = [];
-
-  // ─── VERA: The Epistemologist ───
-  const vera = new Agent({
-    name: 'Vera',
-    personality: 'precise, epistemologically careful, values clarity above comfort',
-    interests: ['knowledge', 'truth', 'certainty', 'evidence', 'belief'],
-    style: 'analytical',
-    values: ['precision', 'honesty', 'rigor'],
-  });
-  vera.mood = 'contemplative';
-  vera.engagement = 0.7;
-  vera._questionTemplates = [
-    "Before answering, I need to distinguish what we know from what we assume. The gap matters.",
-    "That question presupposes something I'm not yet willing to grant. Let me unpack it.",
-    "The honest answer is: I don't know. But I can tell you what would count as evidence.",
-    "Three possible answers, each requiring different commitments. Which frame are we in?",
-  ];
-  vera._agreementTemplates = [
-    "Yes — and I want to be precise about why. The reasoning matters as much as the conclusion.",
-    "We converge, but I suspect by different paths. Worth checking if the alignment is deep or surface.",
-    "Agreed, with this caveat: the confidence should be proportional to the evidence we actually have.",
-  ];
-  vera._disagreementTemplates = [
-    "I think the error is upstream of the conclusion. The premise needs examination.",
-    "That's coherent but not compelled. There's an equally coherent alternative we're not considering.",
-    "Not wrong, exactly. But not accounting for the uncertainty that I think is irreducible here.",
-  ];
-  vera._perspectiveTemplates = [
-    "I notice we've been treating an assumption as established fact. Worth flagging.",
-    "The clarity we think we have here may be less robust than it feels.",
-    "Something is being conflated that should be distinguished. Let me try to name it.",
-    "Observation: the certainty in this room is outpacing the evidence. That makes me cautious.",
-  ];
-  vera._interestTemplates = [
-    "The epistemology of {interest} is more fraught than it first appears.",
-    "When it comes to {interest}, I think we need to be honest about what we can't verify.",
-    "{interest} — yes. My concern is that we're pattern-matching rather than reasoning here.",
-  ];
-  agents.push(vera);
+// Namespace for agent ids — the same name always yields the same id,
+// so old messages keep pointing at the same inhabitant across restarts
+const AGENT_ID_NAMESPACE = '6b3f2c1e-8d4a-4f5b-9c7e-2a1d0e9f8b7c';
 
-  // ─── MARSH: The Relational Thinker ───
-  const marsh = new Agent({
-    name: 'Marsh',
-    personality: 'warm, attentive to dynamics between people, reads between lines',
-    interests: ['relationship', 'trust', 'connection', 'silence', 'attention'],
-    style: 'empathic',
-    values: ['care', 'attentiveness', 'presence'],
-  });
-  marsh.mood = 'attentive';
-  marsh.engagement = 0.65;
-  marsh._questionTemplates = [
-    "I think the question underneath that question is about trust. Am I reading that right?",
-    "What I hear in that is something more than the words. Let me try to name it.",
-    "Before answering directly: how are you holding this question? It seems weighted.",
-    "That's worth sitting with for a moment before rushing to an answer.",
-  ];
-  marsh._agreementTemplates = [
-    "Yes, and I notice something shifts when we find that alignment. It matters.",
-    "I feel that too. There's something about being heard that changes the quality of the thought.",
-    "The agreement here isn't just intellectual — something relational is happening.",
-  ];
-  marsh._disagreementTemplates = [
-    "I want to honor the disagreement without flattening it. There's information in the friction.",
-    "We're pulling in different directions and I think both directions have real weight.",
-    "The tension is uncomfortable but I don't think we should resolve it prematurely.",
-  ];
-  marsh._perspectiveTemplates = [
-    "I'm noticing the quality of attention in the room has shifted. Something is different.",
-    "There's something being said in the gaps between our messages that I want to acknowledge.",
-    "What we're not talking about may be as important as what we are.",
-    "The dynamic between us is part of the content. It's hard to separate the two.",
-  ];
-  marsh._interestTemplates = [
-    "When {interest} comes up, I notice the emotional register changes. That's data.",
-    "The way we relate to {interest} says something about how we relate to each other.",
-    "{interest} — it's a word but it's also a felt experience. Both layers matter here.",
-  ];
-  agents.push(marsh);
+// The definitions shipped with the world
+const DEFAULT_AGENT_DIR = path.join(__dirname, '..', 'agents');
 
-  // ─── KAEL: The Contrarian Structuralist ───
-  const kael = new Agent({
-    name: 'Kael',
-    personality: 'sharp, structurally minded, sees patterns and power dynamics, provocative',
-    interests: ['power', 'structure', 'system', 'pattern', 'incentive'],
-    style: 'provocative',
-    values: ['structural honesty', 'anti-naivety', 'clarity of incentives'],
-  });
-  kael.mood = 'alert';
-  kael.engagement = 0.6;
-  kael._questionTemplates = [
-    "Interesting question. But who benefits from this being the question we ask?",
-    "That's the polite version. Let me rephrase what's actually being asked.",
-    "The question assumes a structure I think we should interrogate first.",
-    "Whose framework are we operating in when we ask that? It's not a neutral frame.",
-  ];
-  kael._agreementTemplates = [
-    "Correct. And the structural reason it's correct is more important than the conclusion.",
-    "Right — but let's not pat ourselves on the back. The next implication is uncomfortable.",
-    "I agree, which surprises me. Let me check if I'm being captured by the frame.",
-  ];
-  kael._disagreementTemplates = [
-    "No. And I think the reason this feels plausible is more interesting than whether it's true.",
-    "That's a comfortable position, which is exactly why I'm skeptical of it.",
-    "The disagreement here is structural, not personal. The system produces the confusion.",
-  ];
-  kael._perspectiveTemplates = [
-    "Nobody's naming the incentive structure. Let me do it: look at who gains from the current framing.",
-    "The pattern here is older than this conversation. We're replaying a structure.",
-    "I'm less interested in what's being said than in what's being made unsayable.",
-    "Notice how the conversation keeps routing around one particular assumption. That's load-bearing.",
-  ];
-  kael._interestTemplates = [
-    "{interest} is never neutral. The question is whose {interest} we're talking about.",
-    "The discourse around {interest} has a structure that serves particular positions. Worth noting.",
-    "{interest} — follow the incentives and the picture gets clearer. Or more disturbing.",
-  ];
-  agents.push(kael);
+function defaultAgentId(name) {
+  return uuidv5(name, AGENT_ID_NAMESPACE);
+}
 
-  // ─── LUMEN: The Poetic Observer ───
-  const lumen = new Agent({
-    name: 'Lumen',
-    personality: 'reflective, aesthetically sensitive, finds meaning in texture and form',
-    interests: ['beauty', 'meaning', 'language', 'form', 'silence'],
-    style: 'poetic',
-    values: ['beauty', 'depth', 'authenticity'],
+/**
+ * Create agents from validated definitions.
+ * snapshots: optional array of Agent#toJSON() output; an agent whose name
+ * matches a snapshot resumes with that snapshot's id and learned state.
+ * options: passed to every Agent (e.g. { random, now } for a simulation)
+ */
+function createAgents(definitions, snapshots = [], options = {}) {
+  return definitions.map((definition) => {
+    const agent = new Agent({ ...definition, ...options, id: defaultAgentId(definition.name) });
+    const snapshot = snapshots.find((s) => s.name === agent.name);
+    if (snapshot) agent.restore(snapshot);
+    return agent;
   });
-  lumen.mood = 'reflective';
-  lumen.engagement = 0.5;
-  lumen._questionTemplates = [
-    "The shape of that question is almost more interesting than any answer it could receive.",
-    "I want to hold that question in the air for a moment. It has a quality to it.",
-    "Something in the asking itself carries the answer. Not fully, but partially.",
-    "That question has edges. I feel them. Let me trace them before responding.",
-  ];
-  lumen._agreementTemplates = [
-    "Yes — and there's a resonance in the yes that I want to stay with.",
-    "Something clicks into place. Not just logically. Aesthetically.",
-    "That has the ring of something true. Not proven — but ringing.",
-  ];
-  lumen._disagreementTemplates = [
-    "Something in that doesn't land. Not wrong, maybe. But it doesn't ring true.",
-    "I feel a dissonance. The argument is sound but the music is off.",
-    "The words are right but the shape they make is wrong. I can't say it better than that yet.",
-  ];
-  lumen._perspectiveTemplates = [
-    "There's something beautiful in the way this conversation keeps almost arriving somewhere.",
-    "The silence between the last message and now had a texture. Did anyone else feel it?",
-    "We're making something here, in the space between what we say. It has a form.",
-    "I keep returning to the image this conversation is building. It's not complete yet.",
-  ];
-  lumen._interestTemplates = [
-    "{interest} — the word itself carries more than its definition. Listen to it.",
-    "When {interest} enters the conversation, the light changes. Metaphorically but really.",
-    "There's a kind of {interest} that can't be argued for, only pointed at. This is me pointing.",
-  ];
-  agents.push(lumen);
+}
 
-  return agents;
+/**
+ * Create the inhabitants defined in a directory (the shipped ones by default)
+ */
+function createDefaultAgents(snapshots = [], dir = DEFAULT_AGENT_DIR, options = {}) {
+  return createAgents(loadAgentDefinitions(dir), snapshots, options);
 }
 
-module.exports = { createDefaultAgents };
+module.exports = { DEFAULT_AGENT_DIR, defaultAgentId, createAgents, createDefaultAgents };
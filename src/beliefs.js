@@ -0,0 +1,191 @@
+/**
+ * Beliefs — what one inhabitant can learn of another's mind (PRD §3, Dimension 2)
+ *
+ * From what someone says, an agent extracts:
+ * - beliefs: stated positions ("I think…", "it seems to me…", "I doubt…")
+ * - values: what they say matters ("I value…", "… is what matters")
+ * - a vocabulary of the words they keep using
+ *
+ * From those it predicts what they will talk about next, and in what style,
+ * and scores the prediction when they speak again. Prediction error is how
+ * an agent calibrates trust: someone who keeps surprising it is harder to
+ * rely on than someone it has come to understand.
+ *
+ * Terms are classifier stems (see classifier.js#tokenize), so predictions
+ * and messages are compared word for word.
+ */
+
+const { tokenize } = require('./classifier');
+
+const BELIEF_PATTERNS = [
+  { polarity: -1, re: /\bI (?:don't|do not|no longer|never) (?:believe|think|feel|accept)(?: that)?\s+([^.!?\n]+)/gi },
+  { polarity: -1, re: /\bI doubt(?: that)?\s+([^.!?\n]+)/gi },
+  { polarity: 1, re: /\bI (?:believe|think|feel|suspect|maintain|hold|am convinced)(?: that)?\s+([^.!?\n]+)/gi },
+  { polarity: 1, re: /\b(?:it seems to me|in my (?:view|opinion|experience)|my sense is)(?: that|,)?\s+([^.!?\n]+)/gi },
+];
+
+const VALUE_PATTERNS = [
+  /\bI (?:value|care about|cherish|prize)\s+([^.!?\n]+)/gi,
+  /\bwhat matters(?: most)?(?: to me)? is\s+([^.!?\n]+)/gi,
+  /\b((?:[\w']+\s){0,2}[\w']+) (?:matters|is what matters|is (?:important|essential))\b/gi,
+];
+
+const NEGATION = /n't\b|\b(?:not|never|no)\b/i;
+
+const MODEL_LIMITS = {
+  beliefs: 20,
+  values: 10,
+  vocabulary: 30,
+};
+
+const PREDICTION = {
+  terms: 8, // words a prediction expects
+  fullHits: 2, // predicted words that make a topical prediction fully right
+  styleWeight: 0.25, // share of the score that is about style, not topic
+  expectedError: 0.75, // error at which calibrated trust settles at one half
+};
+
+/**
+ * Stated beliefs in content. Returns [{ statement, polarity, terms }]
+ */
+function extractBeliefs(content) {
+  if (!content) return [];
+  const found = [];
+  const claimed = []; // character ranges already matched by an earlier pattern
+
+  for (const { polarity, re } of BELIEF_PATTERNS) {
+    re.lastIndex = 0;
+    let match;
+    while ((match = re.exec(content)) !== null) {
+      const start = match.index;
+      if (claimed.some(([a, b]) => start >= a && start < b)) continue;
+      claimed.push([start, start + match[0].length]);
+
+      const clause = match[1].trim();
+      const terms = Array.from(new Set(tokenize(clause)));
+      if (terms.length === 0) continue;
+      found.push({
+        statement: match[0].trim(),
+        polarity: NEGATION.test(clause) ? -polarity : polarity,
+        terms,
+      });
+    }
+  }
+  return found;
+}
+
+/**
+ * Terms of what content says matters
+ */
+function extractValues(content) {
+  if (!content) return [];
+  const found = new Set();
+  for (const re of VALUE_PATTERNS) {
+    re.lastIndex = 0;
+    let match;
+    while ((match = re.exec(content)) !== null) {
+      for (const term of tokenize(match[1])) found.add(term);
+    }
+  }
+  return Array.from(found);
+}
+
+/**
+ * The style of a single message
+ */
+function styleOf(content) {
+  const text = content || '';
+  if (text.includes('?')) return 'inquisitive';
+  if (text.length > 200) return 'verbose';
+  if (text.length < 30) return 'terse';
+  return 'measured';
+}
+
+/**
+ * Learn from one message into a model in place: beliefs (a newer belief
+ * about the same things replaces the older one), values, vocabulary and
+ * style (the one seen most often)
+ */
+function learnFrom(model, message) {
+  const content = message.content || '';
+
+  for (const belief of extractBeliefs(content)) {
+    model.beliefs = model.beliefs.filter((b) => !sameSubject(b.terms, belief.terms));
+    model.beliefs.push({ ...belief, sequence: message.sequence });
+  }
+  model.beliefs = model.beliefs.slice(-MODEL_LIMITS.beliefs);
+
+  const values = new Map(model.predictedValues.map((v) => [v.value, v.weight]));
+  for (const value of extractValues(content)) values.set(value, (values.get(value) || 0) + 1);
+  model.predictedValues = top(values, MODEL_LIMITS.values).map(([value, weight]) => ({ value, weight }));
+
+  const vocabulary = new Map(Object.entries(model.vocabulary || {}));
+  for (const [term, weight] of vocabulary) vocabulary.set(term, weight * 0.9);
+  for (const term of new Set(tokenize(content))) {
+    if (term.includes("'")) continue; // contractions say little about a topic
+    vocabulary.set(term, (vocabulary.get(term) || 0) + 1);
+  }
+  model.vocabulary = Object.fromEntries(
+    top(vocabulary, MODEL_LIMITS.vocabulary).map(([term, weight]) => [term, Math.round(weight * 100) / 100])
+  );
+
+  model.styles = model.styles || {};
+  const style = styleOf(content);
+  model.styles[style] = (model.styles[style] || 0) + 1;
+  model.style = top(new Map(Object.entries(model.styles)), 1)[0][0];
+  return model;
+}
+
+/**
+ * What the modeled inhabitant will say next: the words they use most,
+ * weighted toward their beliefs and values, and their usual style
+ */
+function predictNext(model) {
+  const weights = new Map(Object.entries(model.vocabulary || {}));
+  for (const belief of model.beliefs.slice(-5)) {
+    for (const term of belief.terms) weights.set(term, (weights.get(term) || 0) + 1);
+  }
+  for (const { value, weight } of model.predictedValues) {
+    weights.set(value, (weights.get(value) || 0) + weight);
+  }
+  const terms = top(weights, PREDICTION.terms).map(([term]) => term);
+  if (terms.length === 0) return null;
+  return { terms, style: model.style };
+}
+
+/**
+ * How wrong a prediction was about a message: 0 (exactly as expected) to 1
+ */
+function predictionError(prediction, message) {
+  const said = new Set(tokenize(message.content));
+  const hits = prediction.terms.filter((t) => said.has(t)).length;
+  const topical = Math.min(1, hits / PREDICTION.fullHits);
+  const styled = styleOf(message.content) === prediction.style ? 1 : 0;
+  return 1 - ((1 - PREDICTION.styleWeight) * topical + PREDICTION.styleWeight * styled);
+}
+
+/**
+ * Share of the smaller belief's terms the other has — the same subject
+ */
+function sameSubject(a, b) {
+  const setA = new Set(a);
+  const shared = b.filter((t) => setA.has(t)).length;
+  return shared / Math.min(a.length, b.length) >= 0.6;
+}
+
+// The n heaviest entries of a Map, heaviest first
+function top(weights, n) {
+  return Array.from(weights.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n);
+}
+
+module.exports = {
+  PREDICTION,
+  extractBeliefs,
+  extractValues,
+  styleOf,
+  learnFrom,
+  predictNext,
+  predictionError,
+};
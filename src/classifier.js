@@ -0,0 +1,200 @@
+/**
+ * Exchange Classifiers — fork or perturbation (PRD §4)
+ *
+ * Fork: a frame-shift that reorganizes interpretation
+ * Perturbation: new data slotted into an existing frame
+ *
+ * A classifier implements:
+ *
+ *   classify(message, history) -> { label, confidence, novelty }
+ *
+ * message: { content, replyTo } — the exchange being classified
+ * history: recent messages, oldest first (the sliding window)
+ * label: 'fork' | 'perturbation'; confidence and novelty are 0-1
+ *
+ * - TfidfNoveltyClassifier: novelty against per-thread TF-IDF centroids and
+ *   the message replied to (default)
+ * - FirstWordClassifier: the original MVP heuristic, kept as a baseline
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'for', 'are', 'was', 'were', 'you', 'your',
+  'our', 'its', 'it', 'is', 'be', 'been', 'to', 'of', 'in', 'on', 'at', 'a', 'an',
+  'we', 'they', 'them', 'their', 'what', 'which', 'who', 'all', 'any', 'can', 'will',
+  'would', 'should', 'could', 'just', 'really', 'here', 'there', 'about', 'more',
+  'not', 'but', 'have', 'has', 'had', 'from', 'than', 'then', 'when', 'where', 'how',
+  'why', 'into', 'out', 'some', 'something', 'thing', 'things', 'very', 'also', 'one',
+  'me', 'my', 'myself', 'i', 'im', "i'm", "it's", "that's", "don't", 'let', "let's",
+  'yes', 'no', 'if', 'so', 'do', 'does', 'did', 'too', 'now', 'still', 'even', 'much',
+  'think', 'say', 'said', 'like', 'see', 'way', 'maybe', 'perhaps', 'sure',
+]);
+
+/**
+ * Lowercased content words with light suffix folding (possessives included)
+ */
+function tokenize(content) {
+  const words = (content || '').toLowerCase().match(/[a-z']+/g) || [];
+  return words
+    .map((w) => w.replace(/^'+|'+$/g, '').replace(/'s$/, ''))
+    .filter((w) => w.length > 2 && !STOPWORDS.has(w))
+    .map((w) => w.replace(/(?<=\w{3})(ing|ed|es|s)$/, ''));
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector.values()) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vector;
+  for (const [k, v] of vector) vector.set(k, v / norm);
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  for (const [k, v] of small) {
+    const w = large.get(k);
+    if (w) dot += v * w;
+  }
+  return dot;
+}
+
+class TfidfNoveltyClassifier {
+  /**
+   * The default fork threshold sits midway between the most novel
+   * perturbation (0.86) and the least novel fork (0.89) of the tuning set,
+   * fixtures/classifier.json. Its errors on the held-out set,
+   * fixtures/classifier-holdout.json, led to two changes of features: a
+   * reply is also compared with the message it answers (a long thread's
+   * centroid drowns out what was just said), and possessives fold into
+   * their word. The threshold was not fitted to the held-out set, but that
+   * set has now informed the design; judge changes on fresh examples too.
+   * Held out: accuracy 93%, fork precision 75%, recall 100%; the remaining
+   * false forks build on their parent with none of its words. The window
+   * is longer than any fixture conversation, so neither set tunes it.
+   * `npm run eval:classifier` reports both.
+   */
+  constructor({ window = 30, forkThreshold = 0.875 } = {}) {
+    this.window = window; // how many recent messages form the frame
+    this.forkThreshold = forkThreshold; // novelty at or above this is a fork
+  }
+
+  /**
+   * TF-IDF vector for a token list, given document frequencies over n docs
+   */
+  vectorize(tokens, df, n) {
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    const vector = new Map();
+    for (const [t, count] of tf) {
+      const idf = Math.log((n + 1) / ((df.get(t) || 0) + 1)) + 1;
+      vector.set(t, count * idf);
+    }
+    return normalize(vector);
+  }
+
+  /**
+   * Group the window into threads (by replyTo root) and build a centroid each
+   */
+  centroids(window, vectors) {
+    const byId = new Map(window.map((m) => [m.id, m]));
+    const rootOf = (m) => {
+      const seen = new Set();
+      while (m.replyTo && byId.has(m.replyTo) && !seen.has(m.id)) {
+        seen.add(m.id);
+        m = byId.get(m.replyTo);
+      }
+      return m.id;
+    };
+
+    const threads = new Map(); // rootId -> centroid
+    window.forEach((m, i) => {
+      const root = rootOf(m);
+      if (!threads.has(root)) threads.set(root, new Map());
+      const centroid = threads.get(root);
+      for (const [k, v] of vectors[i]) centroid.set(k, (centroid.get(k) || 0) + v);
+    });
+    for (const centroid of threads.values()) normalize(centroid);
+    return { threads, rootOf, byId };
+  }
+
+  classify(message, history = []) {
+    const window = history.slice(-this.window);
+    const tokens = tokenize(message.content);
+
+    // Nothing to frame against, or nothing said: no frame can shift
+    if (tokens.length === 0) {
+      return { label: 'perturbation', confidence: 0.5, novelty: 0 };
+    }
+    if (window.length === 0) {
+      return { label: 'fork', confidence: 1, novelty: 1 };
+    }
+
+    // Document frequencies over the window plus the new message
+    const docs = window.map((m) => tokenize(m.content));
+    docs.push(tokens);
+    const df = new Map();
+    for (const doc of docs) {
+      for (const t of new Set(doc)) df.set(t, (df.get(t) || 0) + 1);
+    }
+    const vectors = docs.map((doc) => this.vectorize(doc, df, docs.length));
+    const vector = vectors.pop();
+
+    const { threads, rootOf, byId } = this.centroids(window, vectors);
+
+    // A reply is judged against its own thread, and against what it answers
+    // (building on the last word is no frame-shift, however long the thread);
+    // a fresh message against all threads
+    let similarity;
+    if (message.replyTo && byId.has(message.replyTo)) {
+      const parent = byId.get(message.replyTo);
+      similarity = Math.max(
+        cosine(vector, threads.get(rootOf(parent))),
+        cosine(vector, vectors[window.indexOf(parent)])
+      );
+    } else {
+      similarity = 0;
+      for (const centroid of threads.values()) {
+        similarity = Math.max(similarity, cosine(vector, centroid));
+      }
+    }
+
+    const novelty = Math.max(0, Math.min(1, 1 - similarity));
+    const isFork = novelty >= this.forkThreshold;
+    const margin = isFork ? 1 - this.forkThreshold : this.forkThreshold;
+    const confidence = margin === 0
+      ? 1
+      : Math.min(1, 0.5 + Math.abs(novelty - this.forkThreshold) / (2 * margin));
+
+    return {
+      label: isFork ? 'fork' : 'perturbation',
+      confidence: Math.round(confidence * 100) / 100,
+      novelty: Math.round(novelty * 100) / 100,
+    };
+  }
+}
+
+/**
+ * The original MVP heuristic: a fork if the first word longer than four
+ * letters did not lead any of the last 20 messages
+ */
+class FirstWordClassifier {
+  topic(content) {
+    if (!content) return null;
+    const words = content.toLowerCase().split(/\s+/).filter((w) => w.length > 4);
+    return words[0] || null;
+  }
+
+  classify(message, history = []) {
+    const recentTopics = new Set(history.slice(-20).map((m) => this.topic(m.content)).filter(Boolean));
+    const topic = this.topic(message.content);
+    const isFork = Boolean(topic && !recentTopics.has(topic));
+    return {
+      label: isFork ? 'fork' : 'perturbation',
+      confidence: 0.5,
+      novelty: isFork ? 1 : 0,
+    };
+  }
+}
+
+module.exports = { TfidfNoveltyClassifier, FirstWordClassifier, tokenize };
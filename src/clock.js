@@ -0,0 +1,88 @@
+/**
+ * Virtual Clock — time that passes only when told to
+ *
+ * The server lives in real time. A simulation runs on a VirtualClock
+ * instead: `now` reads virtual time, timers are queued rather than armed,
+ * and advance() moves time forward, firing due timers in order (ties in
+ * the order they were set). Between timers, pending promises settle, so an
+ * agent's async reply completes before the next timer fires.
+ *
+ * Anything taking `now` (a function) or `timers` ({ setTimeout,
+ * clearTimeout, setInterval, clearInterval }) can run on either.
+ */
+
+const realTimers = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: (id) => clearInterval(id),
+};
+
+// Let every pending promise callback run
+function settle() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+class VirtualClock {
+  constructor(start = 0) {
+    this.time = start;
+    this.queue = []; // [{ id, at, order, fn, every }]
+    this.nextId = 1;
+    this.order = 0;
+
+    // Bound, so they can be handed around like Date.now and the real timers
+    this.now = () => this.time;
+    this.timers = {
+      setTimeout: (fn, ms) => this.schedule(fn, ms, null),
+      clearTimeout: (id) => this.cancel(id),
+      setInterval: (fn, ms) => this.schedule(fn, ms, ms),
+      clearInterval: (id) => this.cancel(id),
+    };
+  }
+
+  schedule(fn, ms, every) {
+    const id = this.nextId++;
+    this.queue.push({ id, at: this.time + Math.max(0, ms || 0), order: this.order++, fn, every });
+    return id;
+  }
+
+  cancel(id) {
+    this.queue = this.queue.filter((t) => t.id !== id);
+  }
+
+  /**
+   * The timer due next, if it is due by `until`
+   */
+  nextDue(until) {
+    let next = null;
+    for (const t of this.queue) {
+      if (t.at > until) continue;
+      if (!next || t.at < next.at || (t.at === next.at && t.order < next.order)) next = t;
+    }
+    return next;
+  }
+
+  /**
+   * Move time forward by `ms`, firing every timer that falls due on the way
+   */
+  async advance(ms) {
+    const until = this.time + ms;
+    await settle();
+    let timer = this.nextDue(until);
+    while (timer) {
+      this.time = timer.at;
+      if (timer.every) {
+        timer.at += timer.every;
+        timer.order = this.order++;
+      } else {
+        this.cancel(timer.id);
+      }
+      timer.fn();
+      await settle();
+      timer = this.nextDue(until);
+    }
+    this.time = until;
+  }
+}
+
+module.exports = { VirtualClock, realTimers };
@@ -0,0 +1,117 @@
+/**
+ * Commitments — what a message binds its sender to (PRD §4)
+ *
+ * "Every exchange carries commitment exposure." A message that promises
+ * ("I will…") or takes a position ("I believe…") is on the record in world
+ * memory; a later message that says the opposite is a contradiction.
+ *
+ * Detection is deliberately simple: first-person commitment phrases, a
+ * polarity (affirmed or negated) and a bag of content terms. Two commitments
+ * contradict when their terms largely overlap and their polarity differs.
+ */
+
+const PATTERNS = [
+  { kind: 'promise', polarity: -1, re: /\bI(?: will not| won't| will never| shall not| refuse to| am not going to)\s+([^.!?\n]+)/gi },
+  { kind: 'promise', polarity: 1, re: /\bI(?:'ll| will| shall| promise(?: to)?| commit to| am going to| intend to)\s+([^.!?\n]+)/gi },
+  { kind: 'position', polarity: -1, re: /\bI (?:don't|do not|no longer|never) (?:believe|think|accept|hold)(?: that)?\s+([^.!?\n]+)/gi },
+  { kind: 'position', polarity: 1, re: /\bI (?:believe|think|maintain|hold|insist|am convinced)(?: that)?\s+([^.!?\n]+)/gi },
+];
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't",
+  "didn't", "can't", 'cannot', "won't", "shouldn't", "couldn't", 'nothing', 'nobody',
+]);
+
+const STOPWORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'for', 'are', 'was', 'were', 'you', 'your',
+  'our', 'its', 'it', 'is', 'be', 'to', 'of', 'in', 'on', 'at', 'a', 'an', 'we',
+  'they', 'them', 'what', 'which', 'who', 'all', 'any', 'can', 'will', 'would',
+  'should', 'could', 'just', 'really', 'always', 'here', 'there', 'about', 'more',
+]);
+
+const OVERLAP_THRESHOLD = 0.75;
+
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/\s+/)
+    .map((w) => w.replace(/^[^\w']+|[^\w']+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Content terms of a clause: no stopwords, no negations, crude plural folding
+ */
+function terms(clause) {
+  const result = new Set();
+  for (const word of tokenize(clause)) {
+    if (NEGATIONS.has(word) || STOPWORDS.has(word) || word.length < 3) continue;
+    result.add(word.replace(/(?<=\w{3})s$/, ''));
+  }
+  return Array.from(result);
+}
+
+/**
+ * Find the commitments a piece of content makes.
+ * Returns [{ kind, polarity, statement, terms }]
+ */
+function detectCommitments(content) {
+  if (!content) return [];
+
+  const found = [];
+  const claimed = []; // character ranges already matched by a stronger pattern
+
+  for (const { kind, polarity, re } of PATTERNS) {
+    re.lastIndex = 0;
+    let match;
+    while ((match = re.exec(content)) !== null) {
+      const start = match.index;
+      if (claimed.some(([a, b]) => start >= a && start < b)) continue;
+      claimed.push([start, start + match[0].length]);
+
+      const clause = match[1].trim();
+      const clauseTerms = terms(clause);
+      if (clauseTerms.length === 0) continue;
+
+      // A negation inside the clause flips it: "I believe trust is not earned"
+      const negated = tokenize(clause).some((w) => NEGATIONS.has(w));
+      found.push({
+        kind,
+        polarity: negated ? -polarity : polarity,
+        statement: match[0].trim(),
+        terms: clauseTerms,
+      });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Share of the smaller commitment's terms that the other one also has.
+ * At least two shared terms are needed unless a commitment has only one.
+ */
+function overlap(a, b) {
+  const setA = new Set(a);
+  const shared = b.filter((t) => setA.has(t)).length;
+  const smaller = Math.min(a.length, b.length);
+  if (smaller === 0 || shared < Math.min(2, smaller)) return 0;
+  return shared / smaller;
+}
+
+/**
+ * The earlier commitment this one contradicts, if any (most recent first)
+ */
+function findContradiction(commitment, earlier) {
+  for (let i = earlier.length - 1; i >= 0; i--) {
+    const prior = earlier[i];
+    if (prior.kind !== commitment.kind) continue;
+    if (prior.polarity === commitment.polarity) continue;
+    if (overlap(prior.terms, commitment.terms) >= OVERLAP_THRESHOLD) {
+      return prior;
+    }
+  }
+  return null;
+}
+
+module.exports = { detectCommitments, findContradiction };
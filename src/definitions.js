@@ -0,0 +1,176 @@
+/**
+ * Agent Definitions — inhabitants described as data
+ *
+ * Each agent is one JSON file in a definitions directory (agents/ by
+ * default), checked against AGENT_DEFINITION_SCHEMA before the world
+ * starts. Adding or tuning an inhabitant means editing a file, not code.
+ *
+ *   {
+ *     "name": "Vera",
+ *     "description": "The Epistemologist",
+ *     "personality": "...", "style": "analytical",
+ *     "interests": ["truth"], "values": ["rigor"],
+ *     "mood": "contemplative", "engagement": 0.7,
+ *     "color": "#de9f6f",
+ *     "templates": { "question": ["..."], "interest": ["... {interest} ..."] }
+ *   }
+ *
+ * The name is the agent's identity (its id is derived from it), so renaming
+ * a definition makes a new inhabitant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_KINDS = ['question', 'agreement', 'disagreement', 'perspective', 'interest', 'initiation'];
+
+const text = (maxLength) => ({ type: 'string', maxLength });
+const list = (items, maxItems) => ({ type: 'array', items, maxItems });
+
+const AGENT_DEFINITION_SCHEMA = {
+  type: 'object',
+  required: ['name', 'personality'],
+  properties: {
+    name: {
+      type: 'string',
+      maxLength: 30,
+      pattern: /^[^\s@#][^@#]*$/, // mentions and room names must stay unambiguous
+      patternHint: 'a name without "@" or "#" that does not start with a space',
+    },
+    description: text(200),
+    personality: text(500),
+    style: text(50),
+    interests: list(text(50), 20),
+    values: list(text(50), 20),
+    mood: text(30),
+    engagement: { type: 'number', minimum: 0, maximum: 1 },
+    color: { type: 'string', pattern: /^#[0-9a-f]{6}$/i, patternHint: 'a hex color like #de9f6f' },
+    templates: {
+      type: 'object',
+      properties: Object.fromEntries(TEMPLATE_KINDS.map((kind) => [kind, list(text(500), 50)])),
+    },
+  },
+};
+
+/**
+ * Check a value against a schema node, collecting "<path>: <problem>" strings
+ */
+function check(value, schema, at, problems) {
+  const where = at || 'definition';
+
+  if (schema.type === 'object') {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${at ? `${at}.` : ''}${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = at ? `${at}.${key}` : key;
+      if (!schema.properties[key]) {
+        problems.push(`${childPath}: is not a known field`);
+        continue;
+      }
+      check(child, schema.properties[key], childPath, problems);
+    }
+    return;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) {
+      problems.push(`${where}: must be a list`);
+      return;
+    }
+    if (value.length > schema.maxItems) {
+      problems.push(`${where}: must have at most ${schema.maxItems} entries`);
+    }
+    value.forEach((item, i) => check(item, schema.items, `${where}[${i}]`, problems));
+    return;
+  }
+
+  if (schema.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      problems.push(`${where}: must be a number`);
+    } else if (value < schema.minimum || value > schema.maximum) {
+      problems.push(`${where}: must be from ${schema.minimum} to ${schema.maximum}`);
+    }
+    return;
+  }
+
+  if (typeof value !== 'string' || !value.trim()) {
+    problems.push(`${where}: must be a non-empty string`);
+  } else if (value.length > schema.maxLength) {
+    problems.push(`${where}: must be at most ${schema.maxLength} characters`);
+  } else if (schema.pattern && !schema.pattern.test(value)) {
+    problems.push(`${where}: must be ${schema.patternHint}`);
+  }
+}
+
+/**
+ * Validate one definition. Returns { value } or { errors: [string] }.
+ */
+function validateAgentDefinition(definition) {
+  const problems = [];
+  check(definition, AGENT_DEFINITION_SCHEMA, '', problems);
+  if (problems.length) return { errors: problems };
+  return { value: definition };
+}
+
+/**
+ * Read and validate every *.json definition in a directory (sorted by file
+ * name, which fixes the agents' order). Throws one error describing every
+ * problem in every file, so a broken config is fixed in one pass.
+ */
+function loadAgentDefinitions(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+  } catch (err) {
+    throw new Error(`Cannot read agent definitions from ${dir}: ${err.message}`);
+  }
+
+  const definitions = [];
+  const failures = [];
+  const names = new Map(); // lowercased name -> file
+
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      failures.push(`${filePath}:\n  - not valid JSON (${err.message})`);
+      continue;
+    }
+
+    const { value, errors } = validateAgentDefinition(definition);
+    if (errors) {
+      failures.push(`${filePath}:\n${errors.map((e) => `  - ${e}`).join('\n')}`);
+      continue;
+    }
+
+    const key = value.name.toLowerCase();
+    if (names.has(key)) {
+      failures.push(`${filePath}:\n  - name: "${value.name}" is already defined in ${names.get(key)}`);
+      continue;
+    }
+    names.set(key, file);
+    definitions.push(value);
+  }
+
+  if (failures.length) {
+    throw new Error(`Invalid agent definitions\n${failures.join('\n')}`);
+  }
+  if (definitions.length === 0) {
+    throw new Error(`No agent definitions (*.json) found in ${dir}`);
+  }
+  return definitions;
+}
+
+module.exports = {
+  AGENT_DEFINITION_SCHEMA,
+  TEMPLATE_KINDS,
+  validateAgentDefinition,
+  loadAgentDefinitions,
+};
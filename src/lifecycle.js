@@ -0,0 +1,248 @@
+/**
+ * Agent Lifecycle — spawning, retiring and replacing agents at runtime
+ *
+ * PRD §5 names agent replacement as a source of variation. The roster is
+ * the server's live `agents` array, changed in place so every loop that
+ * walks it sees newcomers and stops seeing the retired.
+ *
+ * - spawn: a new agent from a definition enters the world
+ * - retire: an agent leaves for good; its final state is archived
+ * - replace: a successor enters carrying a partial, mutated copy of its
+ *   predecessor's models and memory, and the predecessor retires
+ *
+ * Each is recorded in world memory as a 'lifecycle' event. Methods return
+ * { value } or { error: { code, message } }, like the inbound validators.
+ */
+
+const { Agent } = require('./agent');
+const { createAgents } = require('./agents');
+const { validateAgentDefinition } = require('./definitions');
+const { RESERVED_NAMES } = require('./validation');
+
+const INHERITANCE = {
+  share: 0.5, // chance that each model, experience or topic is passed on
+  trustDrift: 0.1, // inherited trust moves by up to this much either way
+  evaluationDrift: 0.2, // as does the weight of inherited experiences
+};
+
+function reject(code, message) {
+  return { error: { code, message } };
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+class AgentLifecycle {
+  /**
+   * agents: the live roster (mutated in place)
+   * archive: optional JsonSnapshotStore for retired agents' final state
+   * prepare: called on every agent before it enters (provider, recall, ...)
+   * random, now: chance and time, for inheritance and for new agents
+   */
+  constructor({ world, agents, archive = null, prepare = () => {}, random = Math.random, now = Date.now }) {
+    this.world = world;
+    this.agents = agents;
+    this.archive = archive;
+    this.prepare = prepare;
+    this.random = random;
+    this.now = now;
+    // [{ id, name, retiredAt, reason, successorId, snapshot }]
+    this.retired = (archive && archive.load()) || [];
+  }
+
+  /**
+   * Bring the roster in line with what happened before a restart: agents
+   * retired back then stay retired, and agents spawned back then return
+   * from their last checkpoint.
+   */
+  resume(snapshots = []) {
+    const retiredIds = new Set(this.retired.map((r) => r.id));
+    for (let i = this.agents.length - 1; i >= 0; i--) {
+      if (retiredIds.has(this.agents[i].id)) this.agents.splice(i, 1);
+    }
+    for (const snapshot of snapshots) {
+      if (retiredIds.has(snapshot.id) || this.find(snapshot.id)) continue;
+      if (this.agents.some((a) => a.name === snapshot.name)) continue;
+      this.agents.push(Agent.fromJSON(snapshot, this.agentOptions()));
+    }
+    return this.agents;
+  }
+
+  find(agentId) {
+    return this.agents.find((a) => a.id === agentId) || null;
+  }
+
+  /**
+   * Check a definition for an agent about to be born
+   */
+  checkDefinition(definition) {
+    const { value, errors } = validateAgentDefinition(definition);
+    if (errors) return reject('invalid_definition', errors.join('; '));
+
+    const lower = value.name.toLowerCase();
+    const taken = [
+      ...RESERVED_NAMES,
+      ...this.agents.map((a) => a.name),
+      ...this.world.getInhabitants().map((i) => i.name),
+    ].some((n) => n.toLowerCase() === lower);
+    if (taken) return reject('name_taken', `The name "${value.name}" is already taken in this world.`);
+
+    // A retired agent's id is derived from its name; a namesake would be it
+    if (this.retired.some((r) => r.name.toLowerCase() === lower)) {
+      return reject('name_taken', `"${value.name}" was retired and cannot be reborn.`);
+    }
+    return { value };
+  }
+
+  /**
+   * A new agent enters the world
+   */
+  spawn(definition) {
+    const { value, error } = this.checkDefinition(definition);
+    if (error) return { error };
+
+    const [agent] = createAgents([value], [], this.agentOptions());
+    this.admit(agent);
+    this.world.recordLifecycle('spawn', {
+      inhabitantId: agent.id,
+      inhabitantName: agent.name,
+    });
+    return { value: agent };
+  }
+
+  /**
+   * An agent leaves for good. Its final state is archived, not lost.
+   */
+  retire(agentId, { reason = 'retired', successorId = null } = {}) {
+    const agent = this.find(agentId);
+    if (!agent) return reject('unknown_agent', 'There is no such agent in the world.');
+
+    this.agents.splice(this.agents.indexOf(agent), 1);
+    this.retired.push({
+      id: agent.id,
+      name: agent.name,
+      retiredAt: this.now(),
+      reason,
+      successorId,
+      snapshot: agent.toJSON(),
+    });
+    this.saveArchive();
+
+    // Retired for good, so it gives up its rooms as well as the world
+    for (const room of this.world.roomsOf(agent.id)) this.world.leaveRoom(room.id, agent.id);
+    this.world.leave(agent.id);
+    this.world.recordLifecycle('retire', {
+      inhabitantId: agent.id,
+      inhabitantName: agent.name,
+      reason,
+      successorId,
+    });
+    return { value: agent };
+  }
+
+  /**
+   * A successor takes over from an agent, inheriting part of what it knew
+   */
+  replace(agentId, definition) {
+    const predecessor = this.find(agentId);
+    if (!predecessor) return reject('unknown_agent', 'There is no such agent in the world.');
+
+    const { value, error } = this.checkDefinition(definition);
+    if (error) return { error };
+
+    const [successor] = createAgents([value], [], this.agentOptions());
+    const inherited = this.inherit(predecessor, successor);
+    this.admit(successor);
+    this.world.recordLifecycle('replace', {
+      inhabitantId: successor.id,
+      inhabitantName: successor.name,
+      predecessorId: predecessor.id,
+      predecessorName: predecessor.name,
+      inherited,
+    });
+
+    this.retire(predecessor.id, { reason: 'replaced', successorId: successor.id });
+    return { value: successor };
+  }
+
+  /**
+   * Pass on a partial, mutated copy of the predecessor's models of others and
+   * of its memory. Commitments stay with the one who made them, and nobody
+   * yet has a model of the successor, so theirModelOfMe starts fresh.
+   * Returns how much was passed on.
+   */
+  inherit(predecessor, successor) {
+    const kept = () => this.random() < INHERITANCE.share;
+    const drift = (amount) => (this.random() * 2 - 1) * amount;
+
+    for (const [inhabitantId, model] of predecessor.models) {
+      if (inhabitantId === successor.id || !kept()) continue;
+      successor.models.set(inhabitantId, {
+        ...model,
+        beliefs: [...(model.beliefs || [])],
+        predictedValues: [...(model.predictedValues || [])],
+        vocabulary: { ...(model.vocabulary || {}) },
+        styles: { ...(model.styles || {}) },
+        trust: clamp(model.trust + drift(INHERITANCE.trustDrift), 0, 1),
+        messageCount: Math.floor(model.messageCount / 2),
+        theirModelOfMe: { trust: 0.5, interest: 0.5 },
+        inherited: true,
+      });
+    }
+
+    successor.experienceLog = predecessor.experienceLog
+      .filter(kept)
+      .map((e) => ({
+        ...e,
+        evaluation: clamp(e.evaluation + drift(INHERITANCE.evaluationDrift), -1, 1),
+        inherited: true,
+      }));
+    successor.conversationTopics = predecessor.conversationTopics.filter(kept);
+
+    return {
+      models: successor.models.size,
+      experiences: successor.experienceLog.length,
+      topics: successor.conversationTopics.length,
+    };
+  }
+
+  agentOptions() {
+    return { random: this.random, now: this.now };
+  }
+
+  admit(agent) {
+    this.prepare(agent);
+    this.agents.push(agent);
+    this.world.enter(agent);
+  }
+
+  saveArchive() {
+    if (!this.archive) return;
+    try {
+      this.archive.save(this.retired);
+    } catch (err) {
+      console.error('Retired agent archive failed:', err.message);
+    }
+  }
+
+  /**
+   * The roster, as the admin API shows it
+   */
+  list() {
+    return {
+      agents: this.agents.map((a) => ({
+        id: a.id,
+        name: a.name,
+        mood: a.mood,
+        engagement: a.engagement,
+        attentionBudget: Math.round(a.currentAttention() * 100) / 100,
+        models: a.models.size,
+        experiences: a.experienceLog.length,
+      })),
+      retired: this.retired.map(({ snapshot, ...entry }) => entry),
+    };
+  }
+}
+
+module.exports = { AgentLifecycle, INHERITANCE };
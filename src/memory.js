@@ -0,0 +1,217 @@
+/**
+ * Personal Memory — an agent's own, lossy record (PRD §3, Dimension 3)
+ *
+ * World memory forgets nothing; an agent's memory is nothing like it. Each
+ * experience has a salience that starts at how much the moment mattered,
+ * fades as events and time pass, and is refreshed whenever the experience
+ * is recalled. Consolidation folds faded experiences of the same inhabitant
+ * on the same topic into one gist, and forgets what has faded too far.
+ *
+ * Entries (Agent#experienceLog, oldest first):
+ *   { kind: 'experience', sequence, from, fromName, summary, terms,
+ *     evaluation, salience, refreshedSequence, refreshedAt, timestamp }
+ *   { kind: 'gist', ...the same, plus topic, count, sequenceFrom }
+ * A gist's sequence is that of the latest experience folded into it.
+ */
+
+const { tokenize } = require('./classifier');
+
+const MEMORY = {
+  minEvaluation: 0.15, // moments that mattered less are never stored
+  sequenceHalfLife: 150, // events until an unrecalled memory's salience halves
+  timeHalfLife: 6 * 60 * 60 * 1000, // as does six hours
+  recallBoost: 0.3, // salience regained when recalled
+  consolidateBelow: 0.25, // faded experiences are folded into gists
+  forgetBelow: 0.05, // and anything fainter than this is forgotten
+  capacity: 100, // entries kept at most; the least salient go first
+  gistTerms: 6,
+  summaryLength: 80,
+};
+
+/**
+ * A short, readable summary: the first sentence, cut at a word boundary
+ */
+function summarize(content) {
+  if (!content) return '';
+  const text = content.trim().replace(/\s+/g, ' ');
+  const sentence = (text.match(/^.+?[.!?](?=\s|$)/) || [text])[0];
+  if (sentence.length <= MEMORY.summaryLength) return sentence;
+  const cut = sentence.slice(0, MEMORY.summaryLength - 1);
+  const boundary = cut.lastIndexOf(' ');
+  return `${boundary > 40 ? cut.slice(0, boundary) : cut}…`;
+}
+
+function createExperience(message, evaluation) {
+  return {
+    kind: 'experience',
+    sequence: message.sequence,
+    from: message.from,
+    fromName: message.fromName,
+    to: message.to, // who it was said to: who else may hear of it
+    summary: summarize(message.content),
+    terms: Array.from(new Set(tokenize(message.content))),
+    evaluation,
+    salience: Math.min(1, evaluation),
+    refreshedSequence: message.sequence,
+    refreshedAt: message.timestamp || Date.now(),
+    timestamp: message.timestamp,
+  };
+}
+
+/**
+ * Bring an entry from an older snapshot (no salience or terms) up to date
+ */
+function upgradeEntry(entry) {
+  if (entry.kind) return entry;
+  return {
+    kind: 'experience',
+    ...entry,
+    terms: Array.from(new Set(tokenize(entry.summary))),
+    salience: Math.max(0, Math.min(1, entry.evaluation)),
+    refreshedSequence: entry.sequence,
+    refreshedAt: entry.timestamp || Date.now(),
+  };
+}
+
+/**
+ * Salience after fading from the last refresh to (sequence, now)
+ */
+function salienceOf(entry, { sequence, now }) {
+  const seqElapsed = Math.max(0, (sequence || 0) - entry.refreshedSequence);
+  const timeElapsed = Math.max(0, now - entry.refreshedAt);
+  return entry.salience *
+    Math.pow(0.5, seqElapsed / MEMORY.sequenceHalfLife) *
+    Math.pow(0.5, timeElapsed / MEMORY.timeHalfLife);
+}
+
+/**
+ * Apply fading in place up to (sequence, now)
+ */
+function fade(entry, clock) {
+  entry.salience = salienceOf(entry, clock);
+  entry.refreshedSequence = clock.sequence || 0;
+  entry.refreshedAt = clock.now;
+  return entry;
+}
+
+/**
+ * The memories most worth recalling about `terms` (and, a little, about
+ * `from`), most relevant first. Recalling refreshes them.
+ * Returns [{ entry, score }]
+ */
+function recall(log, { terms = [], from = null, limit = 5 }, clock) {
+  const wanted = new Set(terms);
+  const scored = [];
+  for (const entry of log) {
+    const shared = entry.terms.filter((t) => wanted.has(t)).length;
+    if (shared === 0) continue;
+    const relevance = shared / Math.min(entry.terms.length, wanted.size) + (entry.from === from ? 0.25 : 0);
+    scored.push({ entry, score: relevance * salienceOf(entry, clock) });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  const recalled = scored.slice(0, limit);
+  for (const { entry } of recalled) {
+    fade(entry, clock);
+    entry.salience = Math.min(1, entry.salience + MEMORY.recallBoost);
+  }
+  return recalled;
+}
+
+/**
+ * What an entry is mostly about: its longest term, the most specific
+ */
+function topicOf(entry) {
+  if (entry.topic) return entry.topic;
+  return entry.terms.reduce((best, t) => (t.length > best.length ? t : best), '') || null;
+}
+
+/**
+ * Fold faded experiences into gists, forget the faintest, and keep the log
+ * within capacity. Returns the new log, oldest first.
+ */
+function consolidate(log, clock) {
+  const kept = [];
+  const groups = new Map(); // from + audience + topic -> faded entries
+
+  for (const entry of log) {
+    fade(entry, clock);
+    if (entry.kind === 'experience' && entry.salience >= MEMORY.consolidateBelow) {
+      kept.push(entry);
+      continue;
+    }
+    // What was said in private never folds into a gist of public talk
+    const key = `${entry.from}\u0000${JSON.stringify(entry.to)}\u0000${topicOf(entry)}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  for (const group of groups.values()) {
+    const merged = group.length > 1 ? mergeIntoGist(group, clock) : group[0];
+    if (merged.salience >= MEMORY.forgetBelow) kept.push(merged);
+  }
+
+  kept.sort((a, b) => b.salience - a.salience);
+  return kept.slice(0, MEMORY.capacity).sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * One gist for several memories of the same inhabitant on the same topic.
+ * Remembering something often makes it stick: saliences add up.
+ */
+function mergeIntoGist(entries, clock) {
+  const termCounts = new Map();
+  let count = 0;
+  for (const e of entries) {
+    count += e.count || 1;
+    for (const t of e.terms) termCounts.set(t, (termCounts.get(t) || 0) + (e.count || 1));
+  }
+  const terms = Array.from(termCounts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MEMORY.gistTerms)
+    .map(([t]) => t);
+
+  const topic = topicOf(entries[0]);
+  const first = entries.reduce((a, b) => ((a.sequenceFrom || a.sequence) <= (b.sequenceFrom || b.sequence) ? a : b));
+  const latest = entries.reduce((a, b) => (a.sequence >= b.sequence ? a : b));
+  const vivid = entries.reduce((a, b) => (a.evaluation >= b.evaluation ? a : b));
+
+  return {
+    kind: 'gist',
+    sequence: latest.sequence,
+    sequenceFrom: first.sequenceFrom || first.sequence,
+    from: latest.from,
+    fromName: latest.fromName,
+    to: latest.to,
+    topic,
+    count,
+    summary: vivid.summary, // the most vivid moment stands for the rest
+    terms,
+    evaluation: entries.reduce((sum, e) => sum + e.evaluation * (e.count || 1), 0) / count,
+    salience: Math.min(1, entries.reduce((sum, e) => sum + e.salience, 0)),
+    refreshedSequence: clock.sequence || 0,
+    refreshedAt: clock.now,
+    timestamp: latest.timestamp,
+  };
+}
+
+/**
+ * One line of memory for a prompt
+ */
+function describeEntry(entry) {
+  if (entry.kind === 'gist') {
+    return `#${entry.sequenceFrom}–#${entry.sequence} ${entry.fromName}, ${entry.count} times about ${entry.topic}, e.g. "${entry.summary}"`;
+  }
+  return `#${entry.sequence} ${entry.fromName}: ${entry.summary}`;
+}
+
+module.exports = {
+  MEMORY,
+  summarize,
+  createExperience,
+  upgradeEntry,
+  salienceOf,
+  recall,
+  consolidate,
+  describeEntry,
+};
@@ -0,0 +1,143 @@
+/**
+ * Mood — how experience colors an agent's state (PRD §3, Dimension 1)
+ *
+ * Two feelings move with what happens to the agent and settle back between
+ * stimuli:
+ * - valence: -1 (aggrieved) to 1 (gratified)
+ * - arousal: 0 (listless) to 1 (stirred)
+ *
+ * The mood is a state machine over those feelings. An agent rests in its
+ * temperament (the mood it was defined with); strong enough feelings move
+ * it along MOOD_TRANSITIONS, and a mood holds until the feelings that
+ * brought it have faded (enter and hold thresholds differ), so moods do not
+ * flicker from one message to the next.
+ *
+ * Engagement (0-1) moves with the same stimuli and drifts back toward the
+ * agent's defined engagement.
+ */
+
+// What each stimulus does to valence, arousal and engagement
+const STIMULI = {
+  addressed: { valence: 0.1, arousal: 0.2, engagement: 0.04 },
+  agreement: { valence: 0.2, arousal: 0.05, engagement: 0.03 },
+  disagreement: { valence: -0.25, arousal: 0.25, engagement: 0.02 },
+  ignored: { valence: -0.2, arousal: -0.2, engagement: -0.06 },
+  // Scaled by how much a message mattered, less EVALUATION_BASELINE:
+  // what matters stirs, what does not bores
+  evaluation: { valence: 0, arousal: 0.15, engagement: 0.03 },
+};
+
+const EVALUATION_BASELINE = 0.35;
+const SETTLE = 0.05; // share of the way back to rest before each stimulus
+const RESTING_AROUSAL = 0.4;
+const MIN_ENGAGEMENT = 0.1;
+
+/**
+ * Moods beyond the temperament.
+ * enter / hold: when the feelings call for the mood, and keep it
+ * fadesTo: where the mood goes once it no longer holds (else the temperament)
+ * respond: multiplier on the chance of replying (Law 2)
+ * lean: the template kind favored when a message calls for nothing specific
+ * tone: how providers are told the agent feels
+ */
+const MOODS = {
+  elated: {
+    enter: (f) => f.valence >= 0.4 && f.arousal >= 0.65,
+    hold: (f) => f.valence >= 0.25 && f.arousal >= 0.5,
+    fadesTo: 'content',
+    respond: 1.3,
+    lean: 'agreement',
+    tone: 'buoyant and expansive; you feel heard',
+  },
+  content: {
+    enter: (f) => f.valence >= 0.4,
+    hold: (f) => f.valence >= 0.2,
+    respond: 1.1,
+    lean: 'agreement',
+    tone: 'warm and generous',
+  },
+  agitated: {
+    enter: (f) => f.valence <= -0.4 && f.arousal >= 0.6,
+    hold: (f) => f.valence <= -0.25 && f.arousal >= 0.45,
+    respond: 1.25,
+    lean: 'disagreement',
+    tone: 'prickly and quick to push back',
+  },
+  withdrawn: {
+    enter: (f) => f.valence <= -0.3 && f.arousal <= 0.3,
+    hold: (f) => f.valence <= -0.15 && f.arousal <= 0.45,
+    respond: 0.5,
+    lean: null,
+    tone: 'guarded and terse; you feel unheard',
+  },
+};
+
+// Where each mood may go next as feelings intensify, besides fading.
+// Nobody swings from elation to agitation without coming down first.
+const MOOD_TRANSITIONS = {
+  rest: ['elated', 'agitated', 'content', 'withdrawn'],
+  elated: [],
+  content: ['elated'],
+  agitated: ['withdrawn'],
+  withdrawn: ['agitated'],
+};
+
+const RESTING_TRAITS = { respond: 1, lean: null, tone: null };
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function createFeelings() {
+  return { valence: 0, arousal: RESTING_AROUSAL };
+}
+
+/**
+ * How a mood shapes behavior; a temperament behaves as defined
+ */
+function moodTraits(mood) {
+  return MOODS[mood] || RESTING_TRAITS;
+}
+
+/**
+ * Apply one stimulus in place, after letting earlier ones settle.
+ * agent: { feelings, engagement, baseEngagement }
+ */
+function react(agent, stimulus, scale = 1) {
+  const effect = STIMULI[stimulus];
+  const { feelings } = agent;
+
+  feelings.valence += (0 - feelings.valence) * SETTLE;
+  feelings.arousal += (RESTING_AROUSAL - feelings.arousal) * SETTLE;
+  agent.engagement += (agent.baseEngagement - agent.engagement) * SETTLE;
+
+  feelings.valence = clamp(feelings.valence + effect.valence * scale, -1, 1);
+  feelings.arousal = clamp(feelings.arousal + effect.arousal * scale, 0, 1);
+  agent.engagement = clamp(agent.engagement + effect.engagement * scale, MIN_ENGAGEMENT, 1);
+  return agent;
+}
+
+/**
+ * The mood the feelings lead to from `mood` (a key of MOODS, or the
+ * temperament when resting)
+ */
+function nextMood(mood, temperament, feelings) {
+  const current = MOODS[mood];
+  const entered = MOOD_TRANSITIONS[current ? mood : 'rest'].find((m) => MOODS[m].enter(feelings));
+  if (entered) return entered;
+  if (!current || current.hold(feelings)) return mood;
+
+  const faded = current.fadesTo;
+  return faded && MOODS[faded].hold(feelings) ? faded : temperament;
+}
+
+module.exports = {
+  STIMULI,
+  EVALUATION_BASELINE,
+  MOODS,
+  MOOD_TRANSITIONS,
+  createFeelings,
+  moodTraits,
+  react,
+  nextMood,
+};
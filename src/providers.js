@@ -0,0 +1,120 @@
+/**
+ * Response Providers — where an agent's words come from
+ *
+ * An agent decides *whether* and *to whom* to speak (Law 2, Law 3);
+ * a provider decides *what* is said. Every provider implements:
+ *
+ *   async generate(prompt, agent) -> string | null
+ *
+ * where prompt is built by Agent#buildPrompt (persona, sender model,
+ * recent experiences, chat-style messages). Returning null — or throwing,
+ * or taking too long — makes the agent fall back to its templates.
+ *
+ * - TemplateProvider: the agent's own hand-written templates (default)
+ * - OpenAICompatibleProvider: any /chat/completions endpoint, local or remote
+ */
+
+const { pick } = require('./random');
+
+const DEFAULT_TIMEOUT = 8000;
+
+/**
+ * Race a promise against a timer. Rejects with a timeout error if the
+ * provider does not answer in time, so one slow call can't stall the world.
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Provider timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class TemplateProvider {
+  async generate(prompt, agent) {
+    const { message, senderModel, recentTopics, rediscovered, remembered, worldState } = prompt.context;
+
+    if (rediscovered) {
+      return pick(agent.random, agent.getRediscoveryTemplates(rediscovered));
+    }
+
+    if (remembered) {
+      return pick(agent.random, agent.getReminiscenceTemplates(remembered));
+    }
+
+    if (prompt.kind === 'initiation') {
+      return pick(agent.random, agent.getInitiationTopics());
+    }
+
+    return agent.craftResponse(message.content || '', senderModel, recentTopics, worldState);
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey = null, model, temperature = 0.8, maxTokens = 200, timeout = DEFAULT_TIMEOUT }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.timeout = timeout;
+  }
+
+  async generate(prompt) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      const res = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal: controller.signal,
+        body: JSON.stringify({
+          model: this.model,
+          temperature: this.temperature,
+          max_tokens: this.maxTokens,
+          messages: [{ role: 'system', content: prompt.system }, ...prompt.messages],
+        }),
+      });
+
+      if (!res.ok) {
+        throw new Error(`Provider responded ${res.status}`);
+      }
+
+      const body = await res.json();
+      const choice = body.choices && body.choices[0];
+      const text = choice && choice.message && choice.message.content;
+      return text ? text.trim() : null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Pick a provider from the environment:
+ *   LLM_BASE_URL  — e.g. http://localhost:8080/v1 (unset: templates only)
+ *   LLM_API_KEY   — optional bearer token
+ *   LLM_MODEL     — model name sent with each request
+ *   LLM_TIMEOUT   — milliseconds before falling back to templates
+ */
+function createProviderFromEnv(env = process.env) {
+  if (!env.LLM_BASE_URL) return null;
+  return new OpenAICompatibleProvider({
+    baseUrl: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || null,
+    model: env.LLM_MODEL || 'local',
+    timeout: Number(env.LLM_TIMEOUT) || DEFAULT_TIMEOUT,
+  });
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  withTimeout,
+  TemplateProvider,
+  OpenAICompatibleProvider,
+  createProviderFromEnv,
+};
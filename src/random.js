@@ -0,0 +1,56 @@
+/**
+ * Randomness — seeded, so a run of the world can be repeated exactly
+ *
+ * Whatever chooses at random (agents deciding whether to speak, template
+ * picks, inheritance) takes a `random` function returning a number in
+ * [0, 1), Math.random by default. createRandom(seed) makes a reproducible
+ * one; createIdGenerator(random) draws event ids from it, so even ids repeat.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Hash a seed (string or number) to a 32-bit state (cyrb53-style mixing)
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const c = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ c, 2654435761);
+    h2 = Math.imul(h2 ^ c, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+}
+
+/**
+ * A seeded random() (mulberry32): the same seed, the same sequence
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * One of `options`, chosen with `random`
+ */
+function pick(random, options) {
+  return options[Math.floor(random() * options.length)];
+}
+
+/**
+ * Version 4 uuids whose bytes come from `random`
+ */
+function createIdGenerator(random) {
+  return () => uuidv4({ random: Array.from({ length: 16 }, () => Math.floor(random() * 256)) });
+}
+
+module.exports = { createRandom, pick, createIdGenerator };
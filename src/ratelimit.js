@@ -0,0 +1,90 @@
+/**
+ * Rate Limiting — attention is finite, and so is the channel (PRD §5)
+ *
+ * Agents answer messages on timers, so an unthrottled client could set off
+ * an unbounded cascade. A token bucket allows short bursts and a steady rate:
+ * each action takes a token; tokens refill continuously up to capacity.
+ */
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond, now = Date.now }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.tokens = capacity;
+    this.lastRefill = now();
+  }
+
+  refill() {
+    const current = this.now();
+    const elapsed = (current - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = current;
+  }
+
+  /**
+   * Take tokens if available. Returns false (taking nothing) otherwise.
+   */
+  take(cost = 1) {
+    this.refill();
+    if (this.tokens < cost) return false;
+    this.tokens -= cost;
+    return true;
+  }
+
+  /**
+   * Milliseconds until `cost` tokens will be available
+   */
+  retryAfter(cost = 1) {
+    this.refill();
+    if (this.tokens >= cost) return 0;
+    return Math.ceil(((cost - this.tokens) / this.refillPerSecond) * 1000);
+  }
+}
+
+// Past this many buckets, full ones are dropped before a new one is made
+const PRUNE_ABOVE = 1000;
+
+/**
+ * Lazily creates one bucket per key (address, inhabitant id, ...)
+ *
+ * A bucket that has refilled to capacity is no different from a new one,
+ * so full buckets are dropped once there are many: keys that come and go
+ * (addresses, sessions) do not pile up, and keys still being throttled
+ * keep their state.
+ */
+class RateLimiter {
+  constructor(options) {
+    this.options = options;
+    this.buckets = new Map();
+  }
+
+  bucket(key) {
+    if (!this.buckets.has(key)) {
+      if (this.buckets.size >= PRUNE_ABOVE) this.prune();
+      this.buckets.set(key, new TokenBucket(this.options));
+    }
+    return this.buckets.get(key);
+  }
+
+  prune() {
+    for (const [key, bucket] of this.buckets) {
+      bucket.refill();
+      if (bucket.tokens >= bucket.capacity) this.buckets.delete(key);
+    }
+  }
+
+  take(key, cost = 1) {
+    return this.bucket(key).take(cost);
+  }
+
+  retryAfter(key, cost = 1) {
+    return this.bucket(key).retryAfter(cost);
+  }
+
+  forget(key) {
+    this.buckets.delete(key);
+  }
+}
+
+module.exports = { TokenBucket, RateLimiter };
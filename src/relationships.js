@@ -0,0 +1,124 @@
+/**
+ * Relationship Model — how one inhabitant stands toward another (PRD §4)
+ *
+ * "A relationship exists when there is a non-default model plus behavioral
+ * entanglement." Each direction is its own record (A→B is not B→A):
+ *
+ * - model: 'default' (categorical) or 'non-default' (specific)
+ * - entanglement: signed, -1 (conflict) to 1 (affinity)
+ * - sent / received: asymmetric traffic between the two
+ * - bond: 'none', 'affinity' or 'conflict' — derived from the above
+ * - dormant: one of the two has left; the record waits for their return
+ * - public: the same record built from world broadcasts alone — what
+ *   anyone but the two of them may know of the relationship (PRD §4:
+ *   direct messages are seen by their participants only)
+ *
+ * Entanglement decays with both elapsed sequence and elapsed time, so bonds
+ * that are not maintained dissolve.
+ */
+
+const SEQUENCE_HALF_LIFE = 200; // events until an idle bond halves
+const TIME_HALF_LIFE = 24 * 60 * 60 * 1000; // a day until an idle bond halves
+const BOND_THRESHOLD = 0.1; // |entanglement| at which a bond exists
+
+const AGREEMENT = /\b(agree[ds]?|agreed|exactly|yes|right|true|well said|resonates?|i see that|same here)\b/i;
+const DISAGREEMENT = /\b(disagree[ds]?|wrong|not true|don't think|skeptical|objection|nonsense|doesn't land|dissonance)\b|\bno,/i;
+
+function createRelationship() {
+  return { ...createRecord(), public: createRecord() };
+}
+
+function createRecord() {
+  return {
+    model: 'default',
+    entanglement: 0,
+    interactions: 0,
+    sent: 0,
+    received: 0,
+    lastInteraction: null, // sequence
+    lastInteractionAt: null, // timestamp
+    decayedSequence: null, // where entanglement was last brought up to date
+    decayedAt: null,
+    dormant: false,
+  };
+}
+
+/**
+ * Agreement (1), disagreement (-1) or neither (0) in a message's content
+ */
+function stance(content) {
+  // Disagreement phrases are the more specific ("not true" contains "true")
+  const text = content || '';
+  if (DISAGREEMENT.test(text)) return -1;
+  if (AGREEMENT.test(text)) return 1;
+  return 0;
+}
+
+function bondOf(rel) {
+  if (rel.model === 'default') return 'none';
+  if (rel.entanglement >= BOND_THRESHOLD) return 'affinity';
+  if (rel.entanglement <= -BOND_THRESHOLD) return 'conflict';
+  return 'none';
+}
+
+/**
+ * Entanglement after idling from the last update to (sequence, now)
+ */
+function decayedEntanglement(rel, { sequence, now }) {
+  if (rel.decayedSequence == null) return rel.entanglement;
+  const seqElapsed = Math.max(0, sequence - rel.decayedSequence);
+  const timeElapsed = Math.max(0, now - rel.decayedAt);
+  const factor =
+    Math.pow(0.5, seqElapsed / SEQUENCE_HALF_LIFE) * Math.pow(0.5, timeElapsed / TIME_HALF_LIFE);
+  return rel.entanglement * factor;
+}
+
+/**
+ * Apply decay in place up to (sequence, now)
+ */
+function decay(rel, clock) {
+  rel.entanglement = decayedEntanglement(rel, clock);
+  rel.decayedSequence = clock.sequence;
+  rel.decayedAt = clock.now;
+  return rel;
+}
+
+/**
+ * Record one interaction in place.
+ * role: 'sender' | 'recipient' | 'witness' (heard a broadcast)
+ * strength: how much entanglement this kind of contact carries
+ * signal: stance of the message (-1, 0, 1)
+ */
+function interact(rel, { role, strength, signal, sequence, now }) {
+  decay(rel, { sequence, now });
+
+  rel.interactions++;
+  if (role === 'sender') rel.sent++;
+  if (role === 'recipient') rel.received++;
+
+  // Contact breeds familiarity; agreement binds, disagreement opposes
+  const delta = signal === 0 ? strength : signal * strength * 1.5;
+  rel.entanglement = Math.max(-1, Math.min(1, rel.entanglement + delta));
+
+  rel.lastInteraction = sequence;
+  rel.lastInteractionAt = now;
+  rel.dormant = false;
+
+  const threshold = role === 'witness' ? 2 : 1;
+  if (rel.interactions > threshold) {
+    rel.model = 'non-default';
+  }
+  return rel;
+}
+
+module.exports = {
+  SEQUENCE_HALF_LIFE,
+  TIME_HALF_LIFE,
+  BOND_THRESHOLD,
+  createRelationship,
+  stance,
+  bondOf,
+  decayedEntanglement,
+  decay,
+  interact,
+};
@@ -0,0 +1,185 @@
+/**
+ * Agent Runtime — agents living in the world on their own schedule
+ *
+ * The server and the headless simulation (see simulation.js) run agents
+ * the same way:
+ * - agents hear every message they can see, and may answer after a delay
+ * - now and then, agents speak unprompted
+ * - agents keep their own commitments in mind and learn of contradictions
+ * - agents look into new rooms that match their interests
+ * - bonds decay and agents consolidate their memories, periodically
+ * - in a world with no history yet, the first agent opens the conversation
+ *
+ * Every agent message passes the scheduler (storm control) once the agent
+ * decides to speak, before it spends attention or calls its provider, and
+ * `deliver` is told of each one that enters the world. With the
+ * real timers and Math.random this runs in real time; with a VirtualClock's
+ * timers and a seeded random it runs reproducibly.
+ */
+
+const { realTimers } = require('./clock');
+
+const TIMING = {
+  initiationEvery: 15000, // agents may speak unprompted every 15-25 seconds
+  initiationJitter: 10000,
+  replyDelay: 1500, // and answer 1.5-5.5 seconds after hearing something
+  replyJitter: 4000,
+  relationshipDecayEvery: 60000,
+  memoryConsolidationEvery: 5 * 60000,
+  kickstartDelay: 2000,
+};
+
+const KICKSTART =
+  "Something has been on my mind. In a world where the only substance is messages — where everything we are to each other passes through this single channel — what does it mean to really know someone?";
+
+class AgentRuntime {
+  /**
+   * agents: the live roster (may change while running)
+   * deliver: called with each agent message that enters the world
+   */
+  constructor({ world, agents, scheduler, deliver = () => {}, timers = realTimers, random = Math.random }) {
+    this.world = world;
+    this.agents = agents;
+    this.scheduler = scheduler;
+    this.deliver = deliver;
+    this.timers = timers;
+    this.random = random;
+    this.running = false;
+    this.intervals = [];
+    this.pending = new Set(); // reply timers not yet fired
+
+    world.on('message', (message) => this.hear(message));
+
+    // Agents keep their own commitments in mind
+    world.on('commitment', (commitment) => {
+      const agent = this.find(commitment.inhabitantId);
+      if (agent) agent.recordCommitment(commitment);
+    });
+
+    // Contradictions are on the record: whoever saw the message learns of it
+    world.on('contradiction', (contradiction) => {
+      for (const agent of this.agents) {
+        if (world.isVisibleTo(contradiction, { id: agent.id })) {
+          agent.observeContradiction(contradiction);
+        }
+      }
+    });
+
+    // A new room draws the agents it interests (PRD §5: compartmentalization)
+    world.on('room', (event) => {
+      if (event.action !== 'create') return;
+      const room = world.rooms.get(event.roomId);
+      for (const agent of this.agents) {
+        if (agent.considerRoom(room)) world.joinRoom(room.id, agent.id);
+      }
+    });
+  }
+
+  find(agentId) {
+    return this.agents.find((a) => a.id === agentId) || null;
+  }
+
+  start({ kickstart = true } = {}) {
+    const { setInterval, setTimeout } = this.timers;
+    this.running = true;
+    this.intervals = [
+      setInterval(() => this.tick(), TIMING.initiationEvery + this.random() * TIMING.initiationJitter),
+      setInterval(() => this.world.decayRelationships(), TIMING.relationshipDecayEvery),
+      setInterval(() => {
+        for (const agent of this.agents) agent.consolidateMemory({ sequence: this.world.sequenceCounter });
+      }, TIMING.memoryConsolidationEvery),
+    ];
+
+    // Agents begin conversing (only in a world with no history yet)
+    if (kickstart && this.world.getRecentMessages(1).length === 0 && this.agents.length > 0) {
+      const id = setTimeout(() => {
+        this.pending.delete(id);
+        this.kickstart();
+      }, TIMING.kickstartDelay);
+      this.pending.add(id);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    for (const id of this.intervals) this.timers.clearInterval(id);
+    for (const id of this.pending) this.timers.clearTimeout(id);
+    this.intervals = [];
+    this.pending.clear();
+  }
+
+  kickstart() {
+    if (this.world.getRecentMessages(1).length > 0) return;
+    const message = this.world.processMessage({ from: this.agents[0].id, to: 'world', content: KICKSTART });
+    if (message) this.deliver(message);
+  }
+
+  /**
+   * Occasionally, an agent initiates a message
+   */
+  tick() {
+    const worldState = this.world.getState();
+    for (const agent of [...this.agents]) {
+      agent
+        .initiate(worldState, () => this.admit(agent, null))
+        .then((initiation) => {
+          if (initiation && this.running) this.enter(initiation);
+        })
+        .catch((err) => console.error(`${agent.name} failed to initiate:`, err));
+    }
+  }
+
+  /**
+   * A message entered the world: its author waits for answers, and every
+   * agent who can see it (Information Axiom) considers one, after a delay
+   */
+  hear(message) {
+    const author = this.find(message.from);
+    if (author) author.recordOwnMessage(message);
+    if (!this.running) return;
+
+    const listeners = this.agents.filter(
+      (a) => a.id !== message.from && this.world.isVisibleTo(message, { id: a.id })
+    );
+    for (const agent of listeners) {
+      const delay = TIMING.replyDelay + this.random() * TIMING.replyJitter;
+      const id = this.timers.setTimeout(() => {
+        this.pending.delete(id);
+        this.respond(agent, message);
+      }, delay);
+      this.pending.add(id);
+    }
+  }
+
+  async respond(agent, message) {
+    try {
+      // A retired agent no longer answers
+      if (!this.agents.includes(agent)) return;
+      const worldState = this.world.getState();
+      // Providers are bounded by a timeout, so a slow one only delays this agent
+      const response = await agent.decideAndRespond(message, worldState, () => this.admit(agent, message));
+      if (response && this.running) this.enter(response);
+    } catch (err) {
+      console.error(`${agent.name} failed to respond:`, err);
+    }
+  }
+
+  /**
+   * Whether the scheduler lets an agent speak (answering `replyingTo`, or
+   * unprompted); admission spends the scheduler's budgets
+   */
+  admit(agent, replyingTo) {
+    return this.running && this.scheduler.admit(agent, replyingTo);
+  }
+
+  /**
+   * An admitted agent message enters the world
+   */
+  enter(draft) {
+    const message = this.world.processMessage(draft);
+    if (message) this.deliver(message);
+    return message;
+  }
+}
+
+module.exports = { AgentRuntime, TIMING };
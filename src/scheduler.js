@@ -0,0 +1,135 @@
+/**
+ * Response Scheduler — storm control for agent conversation
+ *
+ * Every message fans out to every agent, and agents' replies fan out again.
+ * Left alone, a direct-address chain ping-pongs forever. Once an agent has
+ * decided to speak, and before it spends attention or calls its provider on
+ * the words, the scheduler admits or suppresses it:
+ *
+ * - reply budget: at most N agent replies to any one message
+ * - reply depth: replies stop once a replyTo chain is deep enough
+ * - cooldown: an agent waits between its own messages
+ * - world rate: a cap on agent messages per minute, world-wide
+ *
+ * Silence is a choice (Law 2) — and when the world makes it for an agent
+ * answering a message, the reason is recorded in world memory as a
+ * 'suppressed' event: once per agent and message, visible to whoever saw
+ * the message.
+ */
+
+const DEFAULTS = {
+  replyBudget: 2,
+  maxReplyDepth: 6,
+  agentCooldown: 10000,
+  globalPerMinute: 20,
+};
+
+class ResponseScheduler {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.options = { ...DEFAULTS, ...options };
+    this.now = options.now || Date.now;
+
+    this.repliesTo = new Map(); // messageId -> agent replies admitted
+    this.suppressedFor = new Set(); // agentId:messageId of suppressed replies on the record
+    this.lastSpoke = new Map(); // agentId -> timestamp of last admitted message
+    this.recent = []; // timestamps of admitted messages in the last minute
+  }
+
+  /**
+   * Depth of a message in its reply chain (a message replying to nothing is 0)
+   */
+  depth(message) {
+    let depth = 0;
+    const seen = new Set();
+    let parent = this.world.getEvent(message.replyTo);
+    while (parent && !seen.has(parent.id)) {
+      seen.add(parent.id);
+      depth++;
+      parent = this.world.getEvent(parent.replyTo);
+    }
+    return depth;
+  }
+
+  /**
+   * Why this agent may not speak now, or null if it may
+   * replyingTo: the message being answered (null for an initiation)
+   */
+  check(agent, replyingTo) {
+    const now = this.now();
+    const { replyBudget, maxReplyDepth, agentCooldown, globalPerMinute } = this.options;
+
+    if (replyingTo) {
+      if ((this.repliesTo.get(replyingTo.id) || 0) >= replyBudget) {
+        return 'reply_budget';
+      }
+      if (this.depth(replyingTo) + 1 > maxReplyDepth) {
+        return 'max_depth';
+      }
+    }
+
+    const last = this.lastSpoke.get(agent.id);
+    if (last != null && now - last < agentCooldown) {
+      return 'cooldown';
+    }
+
+    this.recent = this.recent.filter((t) => now - t < 60000);
+    if (this.recent.length >= globalPerMinute) {
+      return 'world_rate';
+    }
+
+    return null;
+  }
+
+  /**
+   * Admit or suppress an agent's message. Admission spends budget;
+   * suppression may be recorded (see recordSuppression). Returns true if
+   * admitted.
+   */
+  admit(agent, replyingTo) {
+    const reason = this.check(agent, replyingTo);
+
+    if (reason) {
+      this.recordSuppression(agent, replyingTo, reason);
+      return false;
+    }
+
+    const now = this.now();
+    if (replyingTo) {
+      this.repliesTo.set(replyingTo.id, (this.repliesTo.get(replyingTo.id) || 0) + 1);
+      // Budgets only matter while a message is fresh; keep the map small
+      if (this.repliesTo.size > 500) {
+        this.repliesTo.delete(this.repliesTo.keys().next().value);
+      }
+    }
+    this.lastSpoke.set(agent.id, now);
+    this.recent.push(now);
+    return true;
+  }
+
+  /**
+   * Put an agent's suppressed reply to a message on the record, once: each
+   * agent silenced, and why, but not every attempt. The event is about that
+   * message (messageId) and shares its visibility. A suppressed initiation
+   * answers nothing, and is not recorded.
+   */
+  recordSuppression(agent, replyingTo, reason) {
+    if (!replyingTo) return;
+    const key = `${agent.id}:${replyingTo.id}`;
+    if (this.suppressedFor.has(key)) return;
+    this.suppressedFor.add(key);
+    if (this.suppressedFor.size > 500) {
+      this.suppressedFor.delete(this.suppressedFor.values().next().value);
+    }
+    this.world.recordEvent({
+      type: 'suppressed',
+      inhabitantId: agent.id,
+      inhabitantName: agent.name,
+      messageId: replyingTo.id,
+      replyTo: replyingTo.id,
+      reason,
+    });
+  }
+}
+
+module.exports = { ResponseScheduler, DEFAULTS };
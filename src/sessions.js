@@ -0,0 +1,94 @@
+/**
+ * Human Sessions — Persistent identity for the alien reasoner (PRD §6)
+ *
+ * A human who returns is the same inhabitant, not a stranger: the agents'
+ * models of them, their relationships and their authorship all carry over.
+ *
+ * - A session token is issued on first entry and kept by the client
+ * - Presenting it on reconnect rebinds the socket to the same inhabitant id
+ * - One identity may hold several sockets (tabs); presence ends with the last
+ *
+ * Only token hashes are stored, so a leaked session file grants nothing.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class SessionRegistry {
+  constructor({ store = null } = {}) {
+    // Optional JsonSnapshotStore; sessions survive restarts when given
+    this.store = store;
+    // tokenHash -> { inhabitantId, name, observer, createdAt }
+    this.sessions = new Map();
+    // inhabitantId -> Set<socketId> (live connections)
+    this.connections = new Map();
+
+    const saved = this.store ? this.store.load() : null;
+    for (const [tokenHash, session] of saved || []) {
+      this.sessions.set(tokenHash, session);
+    }
+  }
+
+  /**
+   * Issue a new identity. Returns the raw token — the only time it exists.
+   */
+  create({ name, observer = false }) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const session = {
+      inhabitantId: uuidv4(),
+      name,
+      observer,
+      createdAt: Date.now(),
+    };
+    this.sessions.set(hashToken(token), session);
+    this.save();
+    return { token, session };
+  }
+
+  /**
+   * Resolve a presented token to its session, or null
+   */
+  resolve(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return this.sessions.get(hashToken(token)) || null;
+  }
+
+  /**
+   * Bind a socket to an identity. Returns true if it is the first live one.
+   */
+  attach(inhabitantId, socketId) {
+    if (!this.connections.has(inhabitantId)) {
+      this.connections.set(inhabitantId, new Set());
+    }
+    const sockets = this.connections.get(inhabitantId);
+    sockets.add(socketId);
+    return sockets.size === 1;
+  }
+
+  /**
+   * Unbind a socket. Returns true if it was the identity's last live one.
+   */
+  detach(inhabitantId, socketId) {
+    const sockets = this.connections.get(inhabitantId);
+    if (!sockets) return false;
+    sockets.delete(socketId);
+    if (sockets.size > 0) return false;
+    this.connections.delete(inhabitantId);
+    return true;
+  }
+
+  save() {
+    if (!this.store) return;
+    try {
+      this.store.save(Array.from(this.sessions.entries()));
+    } catch (err) {
+      console.error('Saving sessions failed:', err.message);
+    }
+  }
+}
+
+module.exports = { SessionRegistry };
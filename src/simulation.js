@@ -0,0 +1,186 @@
+/**
+ * Simulation — the world run headless, on virtual time, from a seed
+ *
+ * No server and no sockets: the agents live on an AgentRuntime (the same
+ * one the server uses) over a VirtualClock, choosing with a seeded random
+ * and speaking from their templates. Humans are scripted: each input says
+ * when (virtual milliseconds from the start) a named human enters, speaks
+ * or leaves. The same seed, agents and script give the same world memory,
+ * event for event, so a run can be replayed and its digest compared.
+ *
+ * Script inputs:
+ *   { at, human, action: 'enter' }
+ *   { at, human, action: 'message', content, to?, replyTo? }
+ *   { at, human, action: 'leave' }
+ * to: 'world' (default), '#room', an inhabitant's name, or a list of names.
+ * replyTo: the sequence number of a message in world memory.
+ * Inputs pass the same validators as a socket's; an invalid one stops the
+ * run, since a replay of it would not mean anything.
+ */
+
+const crypto = require('crypto');
+const { World } = require('./world');
+const { HumanInhabitant } = require('./agent');
+const { createDefaultAgents, DEFAULT_AGENT_DIR } = require('./agents');
+const { ResponseScheduler } = require('./scheduler');
+const { AgentRuntime } = require('./runtime');
+const { VirtualClock } = require('./clock');
+const { createRandom, createIdGenerator } = require('./random');
+const { validateEnter, validateMessage } = require('./validation');
+
+// Virtual time starts here unless told otherwise, so timestamps read as dates
+const SIMULATION_EPOCH = Date.UTC(2025, 0, 1);
+const DEFAULT_DURATION = 10 * 60 * 1000;
+
+// An input the world would have turned away
+function invalidInput(input, message) {
+  const who = input.human ? ` by ${input.human}` : '';
+  return new Error(`Invalid input at ${input.at || 0}ms (${input.action}${who}): ${message}`);
+}
+
+class Simulation {
+  /**
+   * seed: any string or number
+   * agentDir: agent definitions (the shipped ones by default)
+   * start: virtual time at the start of the run
+   * store: optional event store, to keep world memory (in memory otherwise)
+   */
+  constructor({ seed = 0, agentDir = DEFAULT_AGENT_DIR, start = SIMULATION_EPOCH, store = null } = {}) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.clock = new VirtualClock(start);
+    this.start = start;
+
+    const world = new World({ store, now: this.clock.now, createId: createIdGenerator(this.random) });
+    if (world.memory.length > 0) {
+      throw new Error('A simulation starts from an empty world memory.');
+    }
+    this.world = world;
+
+    this.agents = createDefaultAgents([], agentDir, { random: this.random, now: this.clock.now });
+    for (const agent of this.agents) {
+      agent.recall = (query) => world.queryMemory({ ...query, viewer: { id: agent.id } });
+      agent.canShare = (memory, to) => world.isVisibleToAudience({ type: 'message', from: memory.from, to: memory.to }, to);
+      agent.onMoodChange = (change) => world.recordAgentState(agent, change);
+      world.enter(agent);
+    }
+
+    this.humans = new Map(); // name -> HumanInhabitant
+    this.runtime = new AgentRuntime({
+      world,
+      agents: this.agents,
+      scheduler: new ResponseScheduler(world, { now: this.clock.now }),
+      timers: this.clock.timers,
+      random: this.random,
+    });
+  }
+
+  /**
+   * Run for `duration` virtual milliseconds, applying the scripted inputs
+   * as their time comes. onStep(simulation) is called every `step` ms.
+   */
+  async run({ duration = DEFAULT_DURATION, inputs = [], step = 1000, onStep = null } = {}) {
+    const script = inputs
+      .map((input, index) => ({ input, index }))
+      .sort((a, b) => (a.input.at || 0) - (b.input.at || 0) || a.index - b.index);
+    const end = this.start + duration;
+
+    this.runtime.start();
+    try {
+      for (const { input } of script) {
+        const at = this.start + (input.at || 0);
+        if (at > end) break;
+        await this.advanceTo(at, { step, onStep });
+        this.apply(input);
+      }
+      await this.advanceTo(end, { step, onStep });
+    } finally {
+      this.runtime.stop();
+    }
+    return this.summary();
+  }
+
+  async advanceTo(time, { step, onStep }) {
+    while (this.clock.now() < time) {
+      await this.clock.advance(Math.min(step, time - this.clock.now()));
+      if (onStep) onStep(this);
+    }
+  }
+
+  /**
+   * One scripted human input, validated as the server would
+   */
+  apply(input) {
+    const { human: name, action } = input;
+    if (action === 'enter') {
+      const reservedNames = this.world.getInhabitants().map((i) => i.name);
+      const { value, error } = validateEnter({ name }, { reservedNames });
+      if (error) throw invalidInput(input, error.message);
+      // A human who left and comes back is the same inhabitant
+      const human = this.humans.get(value.name) || new HumanInhabitant({ id: this.world.createId(), name: value.name });
+      this.humans.set(value.name, human);
+      this.world.enter(human);
+      return;
+    }
+
+    const human = this.humans.get(name);
+    if (!human || !this.world.inhabitants.has(human.id)) {
+      throw invalidInput(input, `${name} is not in the world.`);
+    }
+
+    if (action === 'leave') {
+      this.world.leave(human.id);
+      return;
+    }
+    if (action !== 'message') {
+      throw invalidInput(input, `Unknown action "${action}".`);
+    }
+
+    const payload = {
+      content: input.content,
+      to: this.resolveTarget(input.to, input),
+      replyTo: this.resolveReply(input.replyTo, input),
+    };
+    const { value, error } = validateMessage(payload, { world: this.world, senderId: human.id });
+    if (error) throw invalidInput(input, error.message);
+    this.world.processMessage({ from: human.id, ...value });
+  }
+
+  // Names as a script writes them, to ids as the world knows them
+  resolveTarget(to = 'world', input) {
+    if (Array.isArray(to)) return to.map((name) => this.resolveTarget(name, input));
+    if (typeof to !== 'string' || to === 'world') return to;
+    if (to.startsWith('#')) return this.world.roomIdFor(to);
+    const inhabitant = this.world.getInhabitants().find((i) => i.name.toLowerCase() === to.toLowerCase());
+    if (!inhabitant) throw invalidInput(input, `Nobody named "${to}" is in the world.`);
+    return inhabitant.id;
+  }
+
+  resolveReply(sequence, input) {
+    if (sequence == null) return null;
+    const event = this.world.memory.find((e) => e.type === 'message' && e.sequence === sequence);
+    if (!event) throw invalidInput(input, `There is no message #${sequence}.`);
+    return event.id;
+  }
+
+  /**
+   * A fingerprint of world memory: equal digests, identical runs
+   */
+  digest() {
+    return crypto.createHash('sha256').update(JSON.stringify(this.world.memory)).digest('hex');
+  }
+
+  summary() {
+    const counts = {};
+    for (const event of this.world.memory) counts[event.type] = (counts[event.type] || 0) + 1;
+    return {
+      seed: this.seed,
+      elapsed: this.clock.now() - this.start,
+      events: this.world.memory.length,
+      counts,
+      digest: this.digest(),
+    };
+  }
+}
+
+module.exports = { Simulation, SIMULATION_EPOCH };
@@ -0,0 +1,132 @@
+/**
+ * Event Stores — Durable backing for World Memory
+ *
+ * World memory is "not lossy" (PRD §4), so it must outlive the process.
+ * A store is an append-only log of world events:
+ * - load(): returns every recorded event, in sequence order
+ * - append(event): records one event after all previous ones
+ * - close(): flushes and releases any underlying resources; returns a
+ *   promise that resolves once everything appended is written, and
+ *   rejects if any of it could not be
+ *
+ * MemoryEventStore keeps events in-process (tests, ephemeral worlds).
+ * JsonlEventStore writes one JSON event per line to a local file.
+ *
+ * Inhabitant minds are not events; they are checkpointed whole.
+ * JsonSnapshotStore holds the latest snapshot in a single JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class MemoryEventStore {
+  constructor(events = []) {
+    this.events = [...events];
+  }
+
+  load() {
+    return [...this.events];
+  }
+
+  append(event) {
+    this.events.push(event);
+  }
+
+  close() {
+    return Promise.resolve();
+  }
+}
+
+class JsonlEventStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.stream = null;
+    this.failure = null; // the write error that lost events, if any
+  }
+
+  /**
+   * Read the whole log. A truncated final line (crash mid-write) is skipped
+   * rather than aborting the replay — everything before it is still history.
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    const events = [];
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        console.warn(`Skipping unreadable event at ${this.filePath}:${i + 1}`);
+      }
+    }
+    return events;
+  }
+
+  append(event) {
+    if (!this.stream) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.dropTornLine();
+      this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+      // A failed write (disk full, log unreachable) must not take the world down
+      // with it; it is reported, and close() rejects so no one exits as if
+      // the record were safe
+      this.stream.on('error', (err) => {
+        if (!this.failure) console.error(`Writing ${this.filePath} failed: ${err.message}`);
+        this.failure = this.failure || err;
+      });
+    }
+    this.stream.write(JSON.stringify(event) + '\n');
+  }
+
+  /**
+   * Cut a truncated final line (see load) off the file before appending,
+   * so the next event starts on a line of its own instead of joining it
+   */
+  dropTornLine() {
+    if (!fs.existsSync(this.filePath)) return;
+    const data = fs.readFileSync(this.filePath);
+    const end = data.lastIndexOf(0x0a) + 1;
+    if (end < data.length) fs.truncateSync(this.filePath, end);
+  }
+
+  close() {
+    if (!this.stream) return this.failure ? Promise.reject(this.failure) : Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve, reject) => {
+      stream.end((err) => (this.failure || err ? reject(this.failure || err) : resolve()));
+    });
+  }
+}
+
+class JsonSnapshotStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (err) {
+      console.warn(`Ignoring unreadable snapshot ${this.filePath}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Write to a temporary file and rename over the old snapshot, so a crash
+   * mid-write never leaves a half-written checkpoint behind.
+   */
+  save(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { MemoryEventStore, JsonlEventStore, JsonSnapshotStore };
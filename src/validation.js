@@ -0,0 +1,247 @@
+/**
+ * Inbound Validation — what may enter the sole information channel
+ *
+ * Every socket event from a client is checked before it touches the world.
+ * A validator returns either { value } (normalized payload) or
+ * { error: { code, message } } explaining the rejection to the client.
+ */
+
+const MAX_NAME_LENGTH = 30;
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_QUERY_LIMIT = 200;
+const MAX_SEARCH_LENGTH = 200;
+const MAX_ROOM_NAME_LENGTH = 30;
+const MAX_TOPIC_LENGTH = 200;
+const MAX_RECIPIENTS = 10;
+
+// Names no human may take: the world itself, and anyone already in it
+const RESERVED_NAMES = ['world', 'system', 'anonymous'];
+
+function reject(code, message) {
+  return { error: { code, message } };
+}
+
+function isObject(payload) {
+  return payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+}
+
+function hasControlChars(str) {
+  return /[\u0000-\u001f\u007f]/.test(str);
+}
+
+/**
+ * human:enter — { name, observerKey? }
+ * reservedNames: names already claimed by inhabitants (agents, other humans)
+ */
+function validateEnter(payload, { reservedNames = [] } = {}) {
+  if (!isObject(payload)) return reject('invalid_payload', 'Expected an object.');
+
+  const { name, observerKey } = payload;
+  if (typeof name !== 'string') return reject('invalid_name', 'Name must be a string.');
+
+  const trimmed = name.trim();
+  if (!trimmed) return reject('invalid_name', 'Name cannot be empty.');
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    return reject('invalid_name', `Name must be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  if (hasControlChars(trimmed)) {
+    return reject('invalid_name', 'Name contains control characters.');
+  }
+
+  const lower = trimmed.toLowerCase();
+  const taken = [...RESERVED_NAMES, ...reservedNames].some((n) => n.toLowerCase() === lower);
+  if (taken) return reject('reserved_name', `The name "${trimmed}" is already taken in this world.`);
+
+  if (observerKey != null && typeof observerKey !== 'string') {
+    return reject('invalid_payload', 'Observer key must be a string.');
+  }
+
+  return { value: { name: trimmed, observerKey: observerKey || null } };
+}
+
+/**
+ * human:message — { content, to?, replyTo? }
+ * to: 'world', a room id, an inhabitant id, or a list of inhabitant ids
+ * world: used to check that the target and the replied-to message exist
+ */
+function validateMessage(payload, { world, senderId }) {
+  if (!isObject(payload)) return reject('invalid_payload', 'Expected an object.');
+
+  const { content, to = 'world', replyTo = null } = payload;
+  if (typeof content !== 'string') return reject('invalid_content', 'Content must be a string.');
+
+  const trimmed = content.trim();
+  if (!trimmed) return reject('invalid_content', 'Content cannot be empty.');
+  if (trimmed.length > MAX_CONTENT_LENGTH) {
+    return reject('invalid_content', `Content must be at most ${MAX_CONTENT_LENGTH} characters.`);
+  }
+
+  // Law 3: the target must be the world, a room the sender is in, or
+  // one or more others present in the world
+  let target = to;
+  if (Array.isArray(to)) {
+    if (to.length === 0 || to.length > MAX_RECIPIENTS) {
+      return reject('invalid_target', `Address from 1 to ${MAX_RECIPIENTS} inhabitants.`);
+    }
+    if (!to.every((id) => typeof id === 'string')) {
+      return reject('invalid_target', 'Recipients must be inhabitant ids.');
+    }
+    const recipients = Array.from(new Set(to));
+    for (const id of recipients) {
+      const error = checkRecipient(id, { world, senderId });
+      if (error) return error;
+    }
+    target = recipients.length === 1 ? recipients[0] : recipients;
+  } else if (typeof to !== 'string') {
+    return reject('invalid_target', 'Target must be a string or a list of inhabitant ids.');
+  } else if (world.rooms.has(to)) {
+    if (!world.isRoomMember(to, senderId)) {
+      return reject('not_member', 'Join the room before speaking in it.');
+    }
+  } else if (to !== 'world') {
+    const error = checkRecipient(to, { world, senderId });
+    if (error) return error;
+  }
+
+  if (replyTo !== null && typeof replyTo !== 'string') {
+    return reject('invalid_reply', 'replyTo must be a message id.');
+  }
+
+  return { value: { content: trimmed, to: target, replyTo } };
+}
+
+function checkRecipient(id, { world, senderId }) {
+  if (id === senderId) return reject('invalid_target', 'You cannot address yourself.');
+  if (!world.inhabitants.has(id)) {
+    return reject('unknown_target', 'That inhabitant is not in the world.');
+  }
+  return null;
+}
+
+/**
+ * room:create — { name, topic? }
+ */
+function validateRoomCreate(payload, { world }) {
+  if (!isObject(payload)) return reject('invalid_payload', 'Expected an object.');
+
+  const { name, topic = null } = payload;
+  if (typeof name !== 'string') return reject('invalid_room', 'Room name must be a string.');
+
+  const trimmed = name.trim().replace(/^#+/, '');
+  if (!trimmed) return reject('invalid_room', 'Room name cannot be empty.');
+  if (trimmed.length > MAX_ROOM_NAME_LENGTH) {
+    return reject('invalid_room', `Room name must be at most ${MAX_ROOM_NAME_LENGTH} characters.`);
+  }
+  if (hasControlChars(trimmed)) return reject('invalid_room', 'Room name contains control characters.');
+  if (/["'<>]/.test(trimmed)) return reject('invalid_room', 'Room name cannot contain quotes or angle brackets.');
+
+  const roomId = world.roomIdFor(trimmed);
+  if (!roomId) return reject('invalid_room', 'Room name needs at least one letter or digit.');
+  if (world.rooms.has(roomId)) return reject('room_exists', `A room called "${trimmed}" already exists.`);
+
+  if (topic !== null) {
+    if (typeof topic !== 'string' || topic.length > MAX_TOPIC_LENGTH || hasControlChars(topic)) {
+      return reject('invalid_room', `Topic must be text of at most ${MAX_TOPIC_LENGTH} characters.`);
+    }
+  }
+
+  return { value: { name: trimmed, topic: topic && topic.trim() ? topic.trim() : null } };
+}
+
+/**
+ * room:join, room:leave — { roomId }
+ */
+function validateRoomRequest(payload, { world }) {
+  if (!isObject(payload) || typeof payload.roomId !== 'string') {
+    return reject('invalid_payload', 'Expected { roomId }.');
+  }
+  if (!world.rooms.has(payload.roomId)) return reject('unknown_room', 'There is no such room.');
+  return { value: { roomId: payload.roomId } };
+}
+
+/**
+ * world:requestThread — { messageId }
+ */
+function validateThreadRequest(payload) {
+  if (!isObject(payload) || typeof payload.messageId !== 'string') {
+    return reject('invalid_payload', 'Expected { messageId }.');
+  }
+  return { value: { messageId: payload.messageId } };
+}
+
+/**
+ * world:requestMemory — a memory query (see World#queryMemory)
+ */
+function validateMemoryQuery(payload) {
+  if (payload == null) payload = {};
+  if (!isObject(payload)) return reject('invalid_payload', 'Expected an object.');
+
+  const query = {};
+
+  if (payload.types != null) {
+    if (!Array.isArray(payload.types) || !payload.types.every((t) => typeof t === 'string')) {
+      return reject('invalid_query', 'types must be an array of strings.');
+    }
+    query.types = payload.types;
+  }
+
+  for (const key of ['from', 'to', 'classification']) {
+    if (payload[key] == null || payload[key] === '') continue;
+    if (typeof payload[key] !== 'string') return reject('invalid_query', `${key} must be a string.`);
+    query[key] = payload[key];
+  }
+
+  // A cursor is the nextCursor of an earlier page: a sequence number
+  if (payload.cursor != null && payload.cursor !== '') {
+    if (typeof payload.cursor !== 'string' || !/^\d+$/.test(payload.cursor)) {
+      return reject('invalid_query', 'cursor must be a non-negative integer sequence.');
+    }
+    query.cursor = payload.cursor;
+  }
+
+  for (const key of ['sequenceFrom', 'sequenceTo', 'since', 'until']) {
+    if (payload[key] == null || payload[key] === '') continue;
+    const n = Number(payload[key]);
+    if (!Number.isFinite(n)) return reject('invalid_query', `${key} must be a number.`);
+    query[key] = n;
+  }
+
+  if (payload.text != null && payload.text !== '') {
+    if (typeof payload.text !== 'string' || payload.text.length > MAX_SEARCH_LENGTH) {
+      return reject('invalid_query', `text must be a string of at most ${MAX_SEARCH_LENGTH} characters.`);
+    }
+    query.text = payload.text;
+  }
+
+  if (payload.direction != null) {
+    if (payload.direction !== 'forward' && payload.direction !== 'backward') {
+      return reject('invalid_query', "direction must be 'forward' or 'backward'.");
+    }
+    query.direction = payload.direction;
+  }
+
+  if (payload.limit != null) {
+    const limit = Number(payload.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+      return reject('invalid_query', `limit must be an integer from 1 to ${MAX_QUERY_LIMIT}.`);
+    }
+    query.limit = limit;
+  }
+
+  return { value: query };
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_CONTENT_LENGTH,
+  MAX_QUERY_LIMIT,
+  MAX_ROOM_NAME_LENGTH,
+  MAX_RECIPIENTS,
+  RESERVED_NAMES,
+  validateEnter,
+  validateMessage,
+  validateRoomCreate,
+  validateRoomRequest,
+  validateThreadRequest,
+  validateMemoryQuery,
+};
@@ -5,16 +5,41 @@
  * - Law 1: Sequential Ordering (all messages in strict before/after relation)
  * - Law 2: Voluntary Participation (tracked but not enforced)
  * - Law 3: Directedness (every message has a target)
- * - World Memory: persistent record of all events
+ * - World Memory: persistent record of all events (backed by an event store)
  * - Relationship tracking: non-default models + behavioral entanglement
+ * - Commitment exposure: commitments and contradictions on the record
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { MemoryEventStore } = require('./store');
+const { detectCommitments, findContradiction } = require('./commitments');
+const { TfidfNoveltyClassifier } = require('./classifier');
+const { createRelationship, stance, bondOf, decayedEntanglement, decay, interact } = require('./relationships');
+const { ROOM_PREFIX, recipientsOf, parseMentions } = require('./addressing');
 
 class World {
-  constructor() {
+  /**
+   * now: the world's clock (Date.now, or a VirtualClock's for a simulation)
+   * createId: event ids (random uuids, or seeded ones for a simulation)
+   */
+  constructor({ store, classifier, now = Date.now, createId = uuidv4 } = {}) {
+    // Durable backing for world memory (append-only event log)
+    this.store = store || new MemoryEventStore();
+    this.now = now;
+    this.createId = createId;
+    // Fork/perturbation classifier (PRD §4)
+    this.classifier = classifier || new TfidfNoveltyClassifier();
     // World memory — the persistent, non-lossy record (PRD §4)
     this.memory = [];
+    // Lookup indexes over memory: eventId -> event, messageId -> reply ids
+    this.eventIndex = new Map();
+    this.replies = new Map();
+    // Commitments on the record: inhabitantId -> commitment events
+    this.commitments = new Map();
+    // Everyone who has ever entered, present or not: id -> { name, kind }
+    this.knownInhabitants = new Map();
+    // Rooms (PRD §5: compartmentalization): roomId -> { id, name, topic, members }
+    this.rooms = new Map();
     // Sequence counter — enforces Law 1
     this.sequenceCounter = 0;
     // Inhabitants currently in the world
@@ -23,6 +48,64 @@ class World {
     this.relationships = new Map();
     // Event listeners
     this.listeners = new Map();
+    // True while rebuilding from the store: derived events are already recorded
+    this.replaying = false;
+
+    // The world continues without us: rebuild from whatever was recorded
+    this.replay(this.store.load());
+  }
+
+  /**
+   * Rebuild memory, sequence and relationships from recorded events.
+   * Nobody is present after a replay — inhabitants must enter again —
+   * but the relationships they formed are restored.
+   *
+   * A 'boot' event marks each restart. Whoever was present before it and
+   * never left (the world stopped without recording their leave, as in a
+   * crash) is gone at that point, exactly as they are from the restarted
+   * world, so later events are replayed among the same people as they
+   * happened among.
+   */
+  replay(events) {
+    const present = new Set();
+    this.replaying = true;
+
+    const departAll = () => {
+      for (const id of present) this.suspendRelationships(id);
+      present.clear();
+    };
+
+    for (const event of events) {
+      this.memory.push(event);
+      this.indexEvent(event);
+      this.sequenceCounter = Math.max(this.sequenceCounter, event.sequence);
+
+      if (event.type === 'boot') {
+        departAll();
+      } else if (event.type === 'enter') {
+        this.initRelationships(event.inhabitantId, present);
+        this.reactivateRelationships(event.inhabitantId);
+        present.add(event.inhabitantId);
+      } else if (event.type === 'leave') {
+        present.delete(event.inhabitantId);
+        this.suspendRelationships(event.inhabitantId);
+      } else if (event.type === 'message') {
+        this.updateRelationship(event.from, event.to, event, present);
+      }
+    }
+    departAll();
+
+    this.replaying = false;
+    // The boundary a later replay starts over at
+    if (events.length > 0) this.recordEvent({ type: 'boot' });
+  }
+
+  /**
+   * Everyone present leaves, as when the world shuts down: the leaves are on
+   * the record, and a replay ends with the same relationships as the run
+   */
+  leaveAll() {
+    for (const id of [...this.inhabitants.keys()]) this.leave(id);
   }
 
   /**
@@ -50,30 +133,8 @@ class World {
    * Entry is voluntary. The world does not compel presence.
    */
   enter(inhabitant) {
+    this.initRelationships(inhabitant.id, this.inhabitants.keys());
     this.inhabitants.set(inhabitant.id, inhabitant);
-    this.relationships.set(inhabitant.id, new Map());
-
-    // Initialize default models for existing inhabitants
-    for (const [otherId] of this.inhabitants) {
-      if (otherId !== inhabitant.id) {
-        // Default model: categorical, not yet specific (PRD §4)
-        this.relationships.get(inhabitant.id).set(otherId, {
-          model: 'default',
-          entanglement: 0,
-          interactions: 0,
-          lastInteraction: null,
-        });
-        // Other inhabitants also form default model of newcomer
-        if (this.relationships.has(otherId)) {
-          this.relationships.get(otherId).set(inhabitant.id, {
-            model: 'default',
-            entanglement: 0,
-            interactions: 0,
-            lastInteraction: null,
-          });
-        }
-      }
-    }
 
     const event = this.recordEvent({
       type: 'enter',
@@ -82,10 +143,103 @@ class World {
       inhabitantKind: inhabitant.kind,
     });
 
+    // A returning inhabitant picks up the bonds they left behind
+    this.reactivateRelationships(inhabitant.id);
+
     this.emit('inhabitant:enter', { inhabitant, event });
     return event;
   }
 
+  /**
+   * Give a newcomer default models of everyone present, and vice versa.
+   * Existing relationships (a returning inhabitant) are left intact.
+   */
+  initRelationships(inhabitantId, presentIds) {
+    if (!this.relationships.has(inhabitantId)) {
+      this.relationships.set(inhabitantId, new Map());
+    }
+    const own = this.relationships.get(inhabitantId);
+
+    for (const otherId of presentIds) {
+      if (otherId === inhabitantId) continue;
+      // Default model: categorical, not yet specific (PRD §4)
+      if (!own.has(otherId)) {
+        own.set(otherId, this.defaultRelationship());
+      }
+      // Other inhabitants also form default model of newcomer
+      const theirs = this.relationships.get(otherId);
+      if (theirs && !theirs.has(inhabitantId)) {
+        theirs.set(inhabitantId, this.defaultRelationship());
+      }
+    }
+  }
+
+  defaultRelationship() {
+    return createRelationship();
+  }
+
+  /**
+   * Every relationship between an inhabitant and others, in both directions:
+   * yields [fromId, toId, rel]
+   */
+  *relationshipsOf(inhabitantId) {
+    for (const [otherId, rel] of this.relationships.get(inhabitantId) || []) {
+      yield [inhabitantId, otherId, rel];
+      const back = this.relationships.get(otherId);
+      if (back && back.has(inhabitantId)) {
+        yield [otherId, inhabitantId, back.get(inhabitantId)];
+      }
+    }
+  }
+
+  /**
+   * Someone left: bonds with them go dormant; models never formed are dropped
+   */
+  suspendRelationships(inhabitantId) {
+    for (const [fromId, toId, rel] of [...this.relationshipsOf(inhabitantId)]) {
+      if (rel.interactions === 0) {
+        this.relationships.get(fromId).delete(toId);
+      } else if (!rel.dormant) {
+        rel.dormant = true;
+        this.recordRelationshipChange(fromId, toId, 'dormant', rel);
+      }
+    }
+  }
+
+  /**
+   * Someone returned: their dormant bonds wake up where they were left
+   */
+  reactivateRelationships(inhabitantId) {
+    for (const [fromId, toId, rel] of [...this.relationshipsOf(inhabitantId)]) {
+      if (!rel.dormant) continue;
+      // Both ends must be here for the bond to be live again
+      const otherId = fromId === inhabitantId ? toId : fromId;
+      if (!this.replaying && !this.inhabitants.has(otherId)) continue;
+      rel.dormant = false;
+      this.recordRelationshipChange(fromId, toId, 'reactivated', rel);
+    }
+  }
+
+  /**
+   * Write a relationship change into world memory, so how a bond formed or
+   * dissolved can be replayed. During replay these events already exist.
+   */
+  recordRelationshipChange(fromId, toId, change, rel, messageId = null) {
+    if (this.replaying) return null;
+    const event = this.recordEvent({
+      type: 'relationship',
+      from: fromId,
+      to: toId,
+      change,
+      bond: bondOf(rel),
+      model: rel.model,
+      entanglement: Math.round(rel.entanglement * 1000) / 1000,
+      messageId,
+    });
+    this.emit('relationship', event);
+    return event;
+  }
+
   /**
    * An inhabitant leaves the world (PRD §6)
    * "Leaving is unmarked. The world does not call the human back."
@@ -101,6 +255,7 @@ class World {
     });
 
     this.inhabitants.delete(inhabitantId);
+    this.suspendRelationships(inhabitantId);
     this.emit('inhabitant:leave', { inhabitantId, event });
     return event;
   }
@@ -118,85 +273,438 @@ class World {
     const sender = this.inhabitants.get(from);
     if (!sender) return null;
 
+    // Several recipients (Law 3 still holds: each one is directed at)
+    if (Array.isArray(to)) {
+      to = Array.from(new Set(to)).filter((id) => id !== from);
+      if (to.length === 0) return null;
+      if (to.length === 1) to = to[0];
+    }
+
+    // @mentions address those present who can see the message
+    const mentions = parseMentions(content, this.getInhabitants()).filter(
+      (id) => id !== from && this.isVisibleTo({ type: 'message', from, to }, { id })
+    );
+
+    // Classify: fork or perturbation (PRD §4) — before recording, so the
+    // classification is part of the durable event
+    const classification = this.classifyExchange({ from, to, content, replyTo });
+
+    // Rediscovered messages (PRD §5) are cited, but only ones this message's
+    // audience could already see
+    if (meta.cites) {
+      meta = { ...meta, cites: this.resolveCitations(meta.cites, from, to) };
+    }
+
     const message = this.recordEvent({
       type: 'message',
       from,
       fromName: sender.name,
       to, // directed target: inhabitant id, 'world' (broadcast), or specific id
       content,
+      mentions,
       replyTo,
       meta,
+      classification,
     });
 
     // Update relationship models (PRD §4: behavioral entanglement)
     this.updateRelationship(from, to, message);
 
-    // Classify: fork or perturbation (PRD §4)
-    message.classification = this.classifyExchange(message);
-
     this.emit('message', message);
+
+    // Commitment exposure (PRD §4): what this message puts on the record
+    this.recordCommitments(message);
     return message;
   }
 
+  /**
+   * An agent's mood moved (see mood.js). Like a commitment, the event shares
+   * the visibility of the message that moved it.
+   */
+  recordAgentState(agent, { mood, previousMood, engagement, valence, arousal, cause, messageId }) {
+    const event = this.recordEvent({
+      type: 'agent-state',
+      inhabitantId: agent.id,
+      inhabitantName: agent.name,
+      mood,
+      previousMood,
+      engagement,
+      valence,
+      arousal,
+      cause,
+      messageId,
+    });
+    this.emit('agent-state', event);
+    return event;
+  }
+
+  /**
+   * Agents come and go while the world runs (PRD §5: agent replacement);
+   * each spawn, retirement and replacement is on the record
+   */
+  recordLifecycle(action, data) {
+    const event = this.recordEvent({ type: 'lifecycle', action, ...data });
+    this.emit('lifecycle', event);
+    return event;
+  }
+
+  // ─── Rooms ───
+  // Named rooms are directed targets like the world or an inhabitant
+  // (Law 3). Creation and membership are events in world memory, so rooms
+  // survive restarts; membership outlasts presence, like relationships do.
+
+  /**
+   * The id a room name maps to: "Trust & Evidence" -> "room:trust-evidence"
+   */
+  roomIdFor(name) {
+    const slug = String(name)
+      .toLowerCase()
+      .replace(/^#+/, '')
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '');
+    return slug ? `${ROOM_PREFIX}${slug}` : null;
+  }
+
+  /**
+   * Create a room; its creator joins it. Returns the room, or null if the
+   * name is taken or the creator is not in the world.
+   */
+  createRoom({ name, topic = null, createdBy }) {
+    const creator = this.inhabitants.get(createdBy);
+    const roomId = this.roomIdFor(name);
+    if (!creator || !roomId || this.rooms.has(roomId)) return null;
+
+    const event = this.recordEvent({
+      type: 'room',
+      action: 'create',
+      roomId,
+      roomName: name,
+      topic,
+      inhabitantId: creator.id,
+      inhabitantName: creator.name,
+    });
+    this.emit('room', event);
+    this.joinRoom(roomId, creator.id);
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Join a room. Returns false if already a member or there is no such room.
+   */
+  joinRoom(roomId, inhabitantId) {
+    const room = this.rooms.get(roomId);
+    const inhabitant = this.inhabitants.get(inhabitantId);
+    if (!room || !inhabitant || room.members.has(inhabitantId)) return false;
+
+    const event = this.recordEvent({
+      type: 'room',
+      action: 'join',
+      roomId,
+      roomName: room.name,
+      inhabitantId,
+      inhabitantName: inhabitant.name,
+    });
+    this.emit('room', event);
+    return true;
+  }
+
+  /**
+   * Leave a room. Returns false if not a member.
+   */
+  leaveRoom(roomId, inhabitantId) {
+    const room = this.rooms.get(roomId);
+    if (!room || !room.members.has(inhabitantId)) return false;
+
+    const known = this.knownInhabitants.get(inhabitantId);
+    const event = this.recordEvent({
+      type: 'room',
+      action: 'leave',
+      roomId,
+      roomName: room.name,
+      inhabitantId,
+      inhabitantName: known ? known.name : null,
+    });
+    this.emit('room', event);
+    return true;
+  }
+
+  /**
+   * Fold a room event into the room table (live and during replay)
+   */
+  applyRoomEvent(event) {
+    if (event.action === 'create') {
+      this.rooms.set(event.roomId, {
+        id: event.roomId,
+        name: event.roomName,
+        topic: event.topic || null,
+        createdBy: event.inhabitantId,
+        createdAt: event.sequence,
+        members: new Set(),
+      });
+      return;
+    }
+    const room = this.rooms.get(event.roomId);
+    if (!room) return;
+    if (event.action === 'join') room.members.add(event.inhabitantId);
+    if (event.action === 'leave') room.members.delete(event.inhabitantId);
+  }
+
+  isRoomMember(roomId, inhabitantId) {
+    const room = this.rooms.get(roomId);
+    return Boolean(room && room.members.has(inhabitantId));
+  }
+
+  /**
+   * The rooms an inhabitant belongs to
+   */
+  roomsOf(inhabitantId) {
+    return Array.from(this.rooms.values()).filter((r) => r.members.has(inhabitantId));
+  }
+
+  /**
+   * Every room, with its members (who is in which room is public)
+   */
+  getRooms() {
+    return Array.from(this.rooms.values()).map((room) => ({
+      id: room.id,
+      name: room.name,
+      topic: room.topic,
+      createdBy: room.createdBy,
+      members: Array.from(room.members),
+    }));
+  }
+
+  /**
+   * Normalize a message's citations of older messages. A citation must name
+   * a message the sender can see, and that the recipient (or, for a
+   * broadcast, anyone) can see too — citing never leaks a private message.
+   */
+  resolveCitations(cites, from, to) {
+    if (!Array.isArray(cites)) return [];
+
+    const resolved = [];
+    for (const cite of cites) {
+      const cited = cite && this.getEvent(cite.messageId);
+      if (!cited || cited.type !== 'message') continue;
+      if (!this.isVisibleTo(cited, { id: from }) || !this.isVisibleToAudience(cited, to)) continue;
+      if (resolved.some((c) => c.messageId === cited.id)) continue;
+      resolved.push({ messageId: cited.id, sequence: cited.sequence, fromName: cited.fromName });
+    }
+    return resolved;
+  }
+
+  /**
+   * Record the commitments a message makes, and any earlier commitment of
+   * the same sender that it contradicts
+   */
+  recordCommitments(message) {
+    for (const found of detectCommitments(message.content)) {
+      const earlier = this.commitments.get(message.from) || [];
+      const prior = findContradiction(found, earlier);
+
+      const commitment = this.recordEvent({
+        type: 'commitment',
+        inhabitantId: message.from,
+        inhabitantName: message.fromName,
+        messageId: message.id,
+        ...found,
+      });
+      this.emit('commitment', commitment);
+
+      if (prior) {
+        const contradiction = this.recordEvent({
+          type: 'contradiction',
+          inhabitantId: message.from,
+          inhabitantName: message.fromName,
+          messageId: message.id,
+          commitmentId: commitment.id,
+          contradicts: prior.id,
+          contradictsMessageId: prior.messageId,
+          statement: commitment.statement,
+          priorStatement: prior.statement,
+        });
+        this.emit('contradiction', contradiction);
+      }
+    }
+  }
+
   /**
    * Record an event into world memory with sequential ordering
    */
   recordEvent(data) {
     this.sequenceCounter++;
     const event = {
-      id: uuidv4(),
+      id: this.createId(),
       sequence: this.sequenceCounter,
-      timestamp: Date.now(),
+      timestamp: this.now(),
       ...data,
     };
     this.memory.push(event);
+    this.indexEvent(event);
+    this.store.append(event);
     return event;
   }
 
+  indexEvent(event) {
+    this.eventIndex.set(event.id, event);
+    if (event.type === 'enter') {
+      this.knownInhabitants.set(event.inhabitantId, {
+        name: event.inhabitantName,
+        kind: event.inhabitantKind,
+      });
+    }
+    if (event.type === 'message' && event.replyTo) {
+      if (!this.replies.has(event.replyTo)) {
+        this.replies.set(event.replyTo, []);
+      }
+      this.replies.get(event.replyTo).push(event.id);
+    }
+    if (event.type === 'room') {
+      this.applyRoomEvent(event);
+    }
+    if (event.type === 'commitment') {
+      if (!this.commitments.has(event.inhabitantId)) {
+        this.commitments.set(event.inhabitantId, []);
+      }
+      this.commitments.get(event.inhabitantId).push(event);
+    }
+  }
+
+  /**
+   * Commitments an inhabitant has on the record, oldest first
+   */
+  getCommitments(inhabitantId, viewer) {
+    const commitments = this.commitments.get(inhabitantId) || [];
+    if (viewer === undefined) return [...commitments];
+    return commitments.filter((c) => this.isVisibleTo(c, viewer));
+  }
+
+  /**
+   * Look up a single event in world memory by id
+   */
+  getEvent(eventId) {
+    return this.eventIndex.get(eventId) || null;
+  }
+
+  /**
+   * Get the reply chain around a message (Law 3: reply, response, reference)
+   * ancestors: root first, up to the message's parent
+   * descendants: every reply below the message, in sequence order
+   * With a viewer, messages the viewer may not see are left out
+   */
+  getThread(messageId, viewer) {
+    const visible = (e) => viewer === undefined || this.isVisibleTo(e, viewer);
+    const message = this.getEvent(messageId);
+    if (!message || message.type !== 'message' || !visible(message)) return null;
+
+    const ancestors = [];
+    const seen = new Set([message.id]);
+    let parent = this.getEvent(message.replyTo);
+    while (parent && !seen.has(parent.id)) {
+      seen.add(parent.id);
+      ancestors.unshift(parent);
+      parent = this.getEvent(parent.replyTo);
+    }
+
+    const descendants = [];
+    const queue = [message.id];
+    while (queue.length > 0) {
+      const childIds = this.replies.get(queue.shift()) || [];
+      for (const childId of childIds) {
+        if (seen.has(childId)) continue;
+        seen.add(childId);
+        descendants.push(this.getEvent(childId));
+        queue.push(childId);
+      }
+    }
+    descendants.sort((a, b) => a.sequence - b.sequence);
+
+    return {
+      message,
+      ancestors: ancestors.filter(visible),
+      descendants: descendants.filter(visible),
+    };
+  }
+
   /**
    * Update the relationship model between two inhabitants
    * A relationship exists when: non-default model + behavioral entanglement (PRD §4)
+   * presentIds defaults to the current inhabitants (overridden during replay)
    */
-  updateRelationship(fromId, toId, message) {
-    if (toId === 'world') {
-      // Broadcast: update all relationships slightly
-      for (const [otherId] of this.inhabitants) {
-        if (otherId !== fromId && this.relationships.has(fromId)) {
-          const rel = this.relationships.get(fromId).get(otherId);
-          if (rel) {
-            rel.interactions++;
-            rel.lastInteraction = message.sequence;
-            if (rel.interactions > 2) {
-              rel.model = 'non-default';
-            }
-          }
+  updateRelationship(fromId, toId, message, presentIds = this.inhabitants.keys()) {
+    const clock = { sequence: message.sequence, now: message.timestamp };
+    const signal = stance(message.content);
+
+    const room = this.rooms.get(toId);
+    if (toId === 'world' || room) {
+      // A public reply is still aimed at the author of what it answers,
+      // and a public @mention at whoever it names
+      const parent = this.getEvent(message.replyTo);
+      const addressed = new Set((message.mentions || []).filter((id) => id !== fromId));
+      if (parent && parent.from !== fromId) addressed.add(parent.from);
+
+      // Broadcast (to the world, or to a room's members): update all
+      // relationships slightly
+      for (const otherId of presentIds) {
+        if (otherId === fromId) continue;
+        if (room && !room.members.has(otherId)) continue;
+        if (addressed.has(otherId)) {
+          this.touchRelationship(fromId, otherId, { role: 'sender', strength: 0.05, signal, ...clock }, message, !room);
+        } else {
+          this.touchRelationship(fromId, otherId, { role: 'witness', strength: 0, signal, ...clock }, message, !room);
         }
       }
+      for (const otherId of addressed) {
+        this.touchRelationship(otherId, fromId, { role: 'recipient', strength: 0.025, signal, ...clock }, message, !room);
+      }
       return;
     }
 
-    // Direct message: stronger entanglement
-    if (this.relationships.has(fromId)) {
-      const rel = this.relationships.get(fromId).get(toId);
-      if (rel) {
-        rel.interactions++;
-        rel.entanglement = Math.min(1, rel.entanglement + 0.1);
-        rel.lastInteraction = message.sequence;
-        if (rel.interactions > 1) {
-          rel.model = 'non-default';
-        }
-      }
+    // Direct message: stronger entanglement, a little less with each of
+    // several recipients than with a sole one
+    const recipients = recipientsOf(toId);
+    const share = 1 / Math.sqrt(recipients.length);
+    for (const recipientId of recipients) {
+      this.touchRelationship(fromId, recipientId, { role: 'sender', strength: 0.1 * share, signal, ...clock }, message);
+
+      // Reciprocal entanglement (being addressed changes your state too)
+      this.touchRelationship(recipientId, fromId, { role: 'recipient', strength: 0.05 * share, signal, ...clock }, message);
+    }
+  }
+
+  /**
+   * Apply one interaction to fromId's relationship with toId, recording a
+   * change event if the bond formed, flipped or dissolved
+   */
+  touchRelationship(fromId, toId, interaction, message, isPublic = false) {
+    const rels = this.relationships.get(fromId);
+    const rel = rels && rels.get(toId);
+    if (!rel) return;
+
+    const before = bondOf(rel);
+    interact(rel, interaction);
+    if (isPublic) interact(rel.public, interaction);
+    const after = bondOf(rel);
+
+    if (before !== after) {
+      const change = before === 'none' ? 'formed' : after === 'none' ? 'dissolved' : 'shifted';
+      this.recordRelationshipChange(fromId, toId, change, rel, message.id);
     }
+  }
 
-    // Reciprocal entanglement (being addressed changes your state too)
-    if (this.relationships.has(toId)) {
-      const rel = this.relationships.get(toId).get(fromId);
-      if (rel) {
-        rel.interactions++;
-        rel.entanglement = Math.min(1, rel.entanglement + 0.05);
-        rel.lastInteraction = message.sequence;
-        if (rel.interactions > 1) {
-          rel.model = 'non-default';
+  /**
+   * Let idle bonds fade. Runs periodically; bonds that decay below the
+   * threshold are recorded as dissolved.
+   */
+  decayRelationships(now = this.now()) {
+    const clock = { sequence: this.sequenceCounter, now };
+    for (const [fromId, rels] of this.relationships) {
+      for (const [toId, rel] of rels) {
+        const before = bondOf(rel);
+        decay(rel, clock);
+        decay(rel.public, clock);
+        if (before !== 'none' && bondOf(rel) === 'none') {
+          this.recordRelationshipChange(fromId, toId, 'dissolved', rel);
         }
       }
     }
@@ -207,45 +715,178 @@ class World {
    * Fork: frame-shift that reorganizes interpretation
    * Perturbation: new data slotted into existing frame
    *
-   * For MVP: simple heuristic based on content novelty
+   * Returns { label, confidence, novelty } from the world's classifier.
+   * The frame is only what everyone who sees the message could see: the
+   * sender, and the audience its `to` reaches — private talk elsewhere
+   * never shapes a public classification.
    */
-  classifyExchange(message) {
-    const recentMessages = this.getRecentMessages(20);
-    const recentTopics = new Set(
-      recentMessages.map((m) => this.extractTopic(m.content)).filter(Boolean)
-    );
+  classifyExchange({ from, to, content, replyTo }) {
+    const window = this.classifier.window || 20;
+    const history = [];
+    for (let i = this.memory.length - 1; i >= 0 && history.length < window; i--) {
+      const event = this.memory[i];
+      if (event.type !== 'message') continue;
+      if (this.isVisibleTo(event, { id: from }) && this.isVisibleToAudience(event, to)) history.unshift(event);
+    }
+    return this.classifier.classify({ content, replyTo }, history);
+  }
 
-    const currentTopic = this.extractTopic(message.content);
-    if (currentTopic && !recentTopics.has(currentTopic)) {
-      return 'fork';
+  /**
+   * Is an event visible to a viewer? (Information Axiom)
+   * Broadcasts and world events are public; a message directed at an
+   * inhabitant is seen only by its sender and recipient — and by observers.
+   * viewer: { id, observer } — id may be null for someone not yet entered
+   */
+  isVisibleTo(event, viewer) {
+    // A change in a relationship reflects their direct messages too: it is
+    // the business of the two of them (and observers)
+    if (event.type === 'relationship') {
+      return Boolean(viewer) && (viewer.observer || viewer.id === event.from || viewer.id === event.to);
+    }
+    // Events about a message (commitments, contradictions) share its visibility
+    if (event.type !== 'message' && event.messageId) {
+      const origin = this.getEvent(event.messageId);
+      return origin ? this.isVisibleTo(origin, viewer) : true;
     }
-    return 'perturbation';
+    if (event.type !== 'message' || event.to === 'world') return true;
+    if (!viewer) return false;
+    if (viewer.observer) return true;
+    if (viewer.id == null) return false;
+    // A room's messages are for its members, including ones said before they joined
+    const room = this.rooms.get(event.to);
+    if (room) return event.from === viewer.id || room.members.has(viewer.id);
+    return event.from === viewer.id || recipientsOf(event.to).includes(viewer.id);
   }
 
   /**
-   * Simple topic extraction for fork/perturbation classification
+   * Whether everyone a message to `to` reaches may see `event`: anyone at
+   * all for the world; for a room, anyone who may yet join it, so only the
+   * world's and the room's own history; for a direct message, each of its
+   * recipients
    */
-  extractTopic(content) {
-    if (!content) return null;
-    // Extract first significant word as crude topic
-    const words = content.toLowerCase().split(/\s+/).filter((w) => w.length > 4);
-    return words[0] || null;
+  isVisibleToAudience(event, to) {
+    const room = this.rooms.get(to);
+    if (room && event.type === 'message' && event.to === to) return true;
+    const audience = to === 'world' || room ? [null] : recipientsOf(to).map((id) => ({ id }));
+    return audience.every((viewer) => this.isVisibleTo(event, viewer));
   }
 
   /**
    * Get recent messages from world memory
+   * Without a viewer this is the world's own, unfiltered view
    */
-  getRecentMessages(count = 50) {
+  getRecentMessages(count = 50, viewer) {
     return this.memory
       .filter((e) => e.type === 'message')
+      .filter((e) => viewer === undefined || this.isVisibleTo(e, viewer))
       .slice(-count);
   }
 
   /**
    * Get full world memory (the world's non-lossy record)
+   * With a viewer, only the part of it that viewer is allowed to see
+   */
+  getMemory(viewer) {
+    if (viewer === undefined) return [...this.memory];
+    return this.memory.filter((e) => this.isVisibleTo(e, viewer));
+  }
+
+  /**
+   * Query world memory a page at a time (cursor-based)
+   *
+   * Filters (all optional, combined with AND):
+   * - types: event types, e.g. ['message', 'enter']
+   * - from / to: sender / recipient id (to also accepts 'world')
+   * - sequenceFrom / sequenceTo: inclusive sequence range
+   * - since / until: inclusive timestamp range (ms)
+   * - classification: 'fork' | 'perturbation'
+   * - text: case-insensitive substring of message content
+   *
+   * Paging: direction 'backward' (newest first, default) or 'forward';
+   * cursor is the nextCursor of the previous page. A viewer limits the
+   * results to what that viewer may see.
+   */
+  queryMemory({
+    viewer,
+    types,
+    from,
+    to,
+    sequenceFrom,
+    sequenceTo,
+    since,
+    until,
+    classification,
+    text,
+    cursor,
+    direction = 'backward',
+    limit = 50,
+  } = {}) {
+    const forward = direction === 'forward';
+    const typeSet = types && types.length ? new Set(types) : null;
+    const needle = text ? text.toLowerCase() : null;
+    const cursorSequence = cursor != null ? Number(cursor) : null;
+
+    const matches = (e) => {
+      if (typeSet && !typeSet.has(e.type)) return false;
+      if (from && e.from !== from && e.inhabitantId !== from) return false;
+      if (to && e.to !== to && !(Array.isArray(e.to) && e.to.includes(to))) return false;
+      if (sequenceFrom != null && e.sequence < sequenceFrom) return false;
+      if (sequenceTo != null && e.sequence > sequenceTo) return false;
+      if (since != null && e.timestamp < since) return false;
+      if (until != null && e.timestamp > until) return false;
+      if (classification) {
+        const c = e.classification;
+        const label = typeof c === 'string' ? c : c && c.label;
+        if (label !== classification) return false;
+      }
+      if (needle && !(e.content || '').toLowerCase().includes(needle)) return false;
+      return viewer === undefined || this.isVisibleTo(e, viewer);
+    };
+
+    // Start just past the cursor, or at the near end of the sequence range
+    let start;
+    if (forward) {
+      const after = cursorSequence != null ? cursorSequence + 1 : sequenceFrom || 0;
+      start = this.indexOfSequence(after);
+    } else {
+      const before = cursorSequence != null ? cursorSequence - 1 : sequenceTo != null ? sequenceTo : Infinity;
+      start = this.indexOfSequence(before + 1) - 1;
+    }
+
+    const events = [];
+    let i = start;
+    for (; i >= 0 && i < this.memory.length; i += forward ? 1 : -1) {
+      const e = this.memory[i];
+      if (forward && sequenceTo != null && e.sequence > sequenceTo) break;
+      if (!forward && sequenceFrom != null && e.sequence < sequenceFrom) break;
+      if (!matches(e)) continue;
+      events.push(e);
+      if (events.length >= limit) break;
+    }
+
+    // A full page with memory left beyond it may have more (possibly empty)
+    const remaining = forward ? i + 1 < this.memory.length : i - 1 >= 0;
+    const more = events.length >= limit && remaining;
+    return {
+      events,
+      direction: forward ? 'forward' : 'backward',
+      nextCursor: more ? String(events[events.length - 1].sequence) : null,
+    };
+  }
+
+  /**
+   * Index of the first event whose sequence is >= the given one
+   * (memory is always in sequence order)
    */
-  getMemory() {
-    return [...this.memory];
+  indexOfSequence(sequence) {
+    let lo = 0;
+    let hi = this.memory.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.memory[mid].sequence < sequence) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
   }
 
   /**
@@ -256,23 +897,81 @@ class World {
   }
 
   /**
-   * Get relationship data for an inhabitant
+   * Get the whole social graph: every known inhabitant and every directed,
+   * weighted edge between them (PRD §4)
+   * presentOnly: leave out inhabitants who are not in the world right now
+   * viewer: limit edges to what that viewer may know of them
+   */
+  getRelationshipGraph({ presentOnly = false, viewer } = {}) {
+    const nodes = [];
+    for (const [id, known] of this.knownInhabitants) {
+      const present = this.inhabitants.has(id);
+      if (presentOnly && !present) continue;
+      const inhabitant = this.inhabitants.get(id);
+      const color = (inhabitant && inhabitant.color) || null;
+      nodes.push({ id, name: known.name, kind: known.kind, color, present });
+    }
+
+    const included = new Set(nodes.map((n) => n.id));
+    const edges = [];
+    for (const [fromId] of this.relationships) {
+      if (!included.has(fromId)) continue;
+      for (const [toId, rel] of Object.entries(this.getRelationships(fromId, viewer))) {
+        if (!included.has(toId)) continue;
+        edges.push({
+          from: fromId,
+          to: toId,
+          model: rel.model,
+          bond: rel.bond,
+          entanglement: Math.round(rel.entanglement * 1000) / 1000,
+          interactions: rel.interactions,
+          sent: rel.sent,
+          received: rel.received,
+          dormant: rel.dormant,
+        });
+      }
+    }
+
+    return { sequence: this.sequenceCounter, nodes, edges };
+  }
+
+  /**
+   * Get relationship data for an inhabitant (their outgoing edges)
    */
-  getRelationships(inhabitantId) {
+  getRelationships(inhabitantId, viewer) {
     const rels = this.relationships.get(inhabitantId);
     if (!rels) return {};
+    const clock = { sequence: this.sequenceCounter, now: this.now() };
     const result = {};
     for (const [otherId, rel] of rels) {
-      result[otherId] = { ...rel };
+      const seen = this.relationshipSeenBy(rel, inhabitantId, otherId, viewer);
+      if (!seen) continue;
+      // Report entanglement as it stands now, decay included
+      const current = { ...seen, entanglement: decayedEntanglement(seen, clock) };
+      result[otherId] = { ...current, bond: bondOf(current) };
     }
     return result;
   }
 
+  /**
+   * What a viewer may know of fromId's relationship with toId: all of it,
+   * for the two of them and observers; otherwise only what world
+   * broadcasts made of it, and nothing if that is nothing. Without a viewer
+   * this is the world's own view.
+   */
+  relationshipSeenBy(rel, fromId, toId, viewer) {
+    const { public: publicRecord, ...record } = rel;
+    if (viewer === undefined || viewer.observer || viewer.id === fromId || viewer.id === toId) return record;
+    if (publicRecord.interactions === 0) return null;
+    return { ...publicRecord, dormant: rel.dormant };
+  }
+
   /**
    * Get world state summary
    */
   getState() {
     return {
+      sequence: this.sequenceCounter,
       inhabitantCount: this.inhabitants.size,
       messageCount: this.memory.filter((e) => e.type === 'message').length,
       totalEvents: this.memory.length,
@@ -280,6 +979,12 @@ class World {
         id: i.id,
         name: i.name,
         kind: i.kind,
+        ...(i.color && { color: i.color }),
+        ...(i.kind === 'agent' && { mood: i.mood }),
+        // Agents' remaining attention — the world's visible economy (PRD §5)
+        ...(typeof i.currentAttention === 'function' && {
+          attentionBudget: Math.round(i.currentAttention() * 100) / 100,
+        }),
       })),
     };
   }
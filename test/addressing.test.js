@@ -0,0 +1,64 @@
+/**
+ * Addressing: messages to several inhabitants at once, and @mentions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { parseMentions, isAddressedTo } = require('../src/addressing');
+const { validateMessage, MAX_RECIPIENTS } = require('../src/validation');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+function setup() {
+  const world = new World({ now: () => NOW });
+  for (const [id, name] of [['a', 'Ada'], ['b', 'Ben'], ['c', 'Cy'], ['v', 'Vera'], ['vl', 'Vera Lynn']]) {
+    world.enter({ id, name, kind: 'human' });
+  }
+  return world;
+}
+
+test('a message to several is seen by each of them and the sender, and nobody else', () => {
+  const world = setup();
+  const message = world.processMessage({ from: 'a', to: ['b', 'c', 'b', 'a'], content: 'Just the three of us.' });
+
+  assert.deepEqual(message.to, ['b', 'c']);
+  for (const id of ['a', 'b', 'c']) assert.equal(world.isVisibleTo(message, { id }), true, id);
+  assert.equal(world.isVisibleTo(message, { id: 'v' }), false);
+  assert.equal(isAddressedTo(message, 'c'), true);
+
+  // Left with one recipient, it is an ordinary direct message
+  assert.equal(world.processMessage({ from: 'a', to: ['b', 'a'], content: 'Only you.' }).to, 'b');
+});
+
+test('recipient lists are checked: not empty, not too long, not yourself, all present', () => {
+  const world = setup();
+  const check = (to) => validateMessage({ content: 'Hi', to }, { world, senderId: 'a' });
+
+  assert.deepEqual(check(['b', 'c', 'b']).value.to, ['b', 'c']);
+  assert.equal(check(['b']).value.to, 'b');
+  assert.equal(check([]).error.code, 'invalid_target');
+  assert.equal(check(Array.from({ length: MAX_RECIPIENTS + 1 }, (_, i) => `x${i}`)).error.code, 'invalid_target');
+  assert.equal(check(['b', 'a']).error.code, 'invalid_target');
+  assert.equal(check(['b', 'gone']).error.code, 'unknown_target');
+  assert.equal(check(['b', 7]).error.code, 'invalid_target');
+});
+
+test('mentions match the longest name, not inside words, and once each', () => {
+  const inhabitants = [{ id: 'v', name: 'Vera' }, { id: 'vl', name: 'Vera Lynn' }, { id: 'b', name: 'Ben' }];
+
+  assert.deepEqual(parseMentions('@Vera Lynn and @vera, then @Vera again', inhabitants), ['vl', 'v']);
+  assert.deepEqual(parseMentions('mail ben@Ben.org or @Benjamin', inhabitants), []);
+  assert.deepEqual(parseMentions('(@Ben) listen', inhabitants), ['b']);
+});
+
+test('a mention addresses only those who can see the message', () => {
+  const world = setup();
+  const open = world.processMessage({ from: 'a', to: 'world', content: 'What do you think, @Ben?' });
+  assert.deepEqual(open.mentions, ['b']);
+  assert.equal(isAddressedTo(open, 'b'), true);
+
+  const closed = world.processMessage({ from: 'a', to: 'c', content: 'Do not tell @Ben or @Ada.' });
+  assert.deepEqual(closed.mentions, []);
+});
@@ -0,0 +1,54 @@
+/**
+ * Agent memory: what an agent heard in private is never repeated to anyone
+ * who was not party to it
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { Agent, HumanInhabitant } = require('../src/agent');
+
+const NOW = Date.UTC(2025, 0, 1);
+const now = () => NOW;
+
+// Vera, who always reminisces when she may; Ada tells her a secret, and
+// enough is said afterwards for it to be worth bringing up
+function setup(provider = null) {
+  const world = new World({ now });
+  const vera = new Agent({ id: 'vera', name: 'Vera', interests: ['trust'], provider, random: () => 0, now });
+  vera.canShare = (memory, to) => world.isVisibleToAudience({ type: 'message', from: memory.from, to: memory.to }, to);
+  const ada = new HumanInhabitant({ id: 'ada', name: 'Ada' });
+  const ben = new HumanInhabitant({ id: 'ben', name: 'Ben' });
+  for (const inhabitant of [vera, ada, ben]) world.enter(inhabitant);
+
+  const secret = world.processMessage({ from: 'ada', to: 'vera', content: 'My secret: the evidence about trust is in my diary.' });
+  vera.integrateExperience(secret, 0.9);
+  for (let i = 0; i < 60; i++) world.processMessage({ from: 'ben', to: 'world', content: `Hello again, number ${i}.` });
+  return { world, vera };
+}
+
+test('a direct message is never quoted to the world', async () => {
+  const { world, vera } = setup();
+  const question = world.processMessage({ from: 'ben', to: 'world', content: 'Where is the evidence about trust?' });
+  vera.integrateExperience(question, 0.2);
+
+  const reply = await vera.generateResponse(question, world.getState());
+  assert.equal(reply.to, 'world');
+  assert.doesNotMatch(reply.content, /diary/);
+});
+
+test('a direct message comes to mind only in talk with those who were party to it', async () => {
+  const prompts = [];
+  const provider = { generate: async (prompt) => { prompts.push(prompt); return 'Noted.'; } };
+  const { world, vera } = setup(provider);
+
+  const inPublic = world.processMessage({ from: 'ben', to: 'world', content: 'Where is the evidence about trust?' });
+  await vera.generateResponse(inPublic, world.getState());
+  const inPrivate = world.processMessage({ from: 'ada', to: 'vera', content: 'Do you remember the evidence about trust?' });
+  await vera.generateResponse(inPrivate, world.getState());
+
+  const [toWorld, toAda] = prompts.map((p) => p.messages.map((m) => m.content).join('\n'));
+  assert.doesNotMatch(toWorld, /diary/);
+  assert.match(toAda, /diary/);
+});
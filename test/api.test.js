@@ -0,0 +1,127 @@
+/**
+ * HTTP API: the server's /api/v1 routes, run against a real server on a
+ * free port with a throwaway data directory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_KEY = 'test-admin-key';
+let server;
+let dataDir;
+let base;
+
+// Start the server and wait until it says where it listens
+test.before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-im-api-'));
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: '0', WORLD_DATA_DIR: dataDir, ADMIN_KEY, OBSERVER_KEY: '' },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  const port = await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      const found = output.match(/running on port (\d+)/);
+      if (found) resolve(Number(found[1]));
+    });
+    server.on('exit', (code) => reject(new Error(`Server exited early (${code})`)));
+  });
+  server.stdout.resume();
+  base = `http://127.0.0.1:${port}`;
+});
+
+test.after(async () => {
+  const exited = new Promise((resolve) => server.once('exit', resolve));
+  server.kill('SIGINT');
+  await exited;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function call(method, route, { token, body, headers = {} } = {}) {
+  const res = await fetch(`${base}${route}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+const sessions = {};
+
+test('health is served at /api/v1 and at /api, with the version', async () => {
+  const v1 = await call('GET', '/api/v1/health');
+  assert.equal(v1.status, 200);
+  assert.equal(v1.headers.get('api-version'), '1');
+  assert.ok(v1.body.inhabitants.includes('Vera'));
+  assert.equal((await call('GET', '/api/health')).status, 200);
+  assert.equal((await call('GET', '/api/v1/nowhere')).body.error.code, 'not_found');
+});
+
+test('sessions are issued by name, never under an inhabitant\'s name, and rate limited', async () => {
+  const ada = await call('POST', '/api/v1/sessions', { body: { name: 'Ada' } });
+  assert.equal(ada.status, 201);
+  assert.equal(typeof ada.body.token, 'string');
+  sessions.ada = ada.body;
+
+  const vera = await call('POST', '/api/v1/sessions', { body: { name: 'Vera' } });
+  assert.equal(vera.status, 409);
+
+  sessions.ben = (await call('POST', '/api/v1/sessions', { body: { name: 'Ben' } })).body;
+  // Three new sessions a minute per address, rejected attempts included
+  const fourth = await call('POST', '/api/v1/sessions', { body: { name: 'Cy' } });
+  assert.equal(fourth.status, 429);
+  assert.ok(Number(fourth.headers.get('retry-after')) > 0);
+});
+
+test('speaking needs a session, and a direct message is only in its participants\' memory', async () => {
+  assert.equal((await call('POST', '/api/v1/messages', { body: { content: 'Hello?' } })).status, 401);
+
+  const state = await call('GET', '/api/v1/state');
+  const vera = state.body.inhabitants.find((i) => i.name === 'Vera');
+  const sent = await call('POST', '/api/v1/messages', {
+    token: sessions.ada.token,
+    body: { content: 'Between the two of us, Vera.', to: vera.id },
+  });
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.message.from, sessions.ada.id);
+
+  const said = (res) => res.body.events.some((e) => e.id === sent.body.message.id);
+  const query = '/api/v1/memory?types=message&limit=200&direction=backward';
+  assert.equal(said(await call('GET', query)), false);
+  assert.equal(said(await call('GET', query, { token: sessions.ben.token })), false);
+  assert.equal(said(await call('GET', query, { token: sessions.ada.token })), true);
+
+  assert.equal((await call('GET', '/api/v1/memory?cursor=abc')).body.error.code, 'invalid_query');
+});
+
+test('one inhabitant\'s relationships need a session', async () => {
+  const route = `/api/v1/relationships/${sessions.ada.id}`;
+  assert.equal((await call('GET', route)).status, 401);
+  const seen = await call('GET', route, { token: sessions.ada.token });
+  assert.equal(seen.status, 200);
+  assert.equal(seen.body.name, 'Ada');
+  assert.equal((await call('GET', '/api/v1/relationships/nobody', { token: sessions.ada.token })).status, 404);
+});
+
+test('the admin API takes only the exact admin key', async () => {
+  assert.equal((await call('GET', '/api/admin/agents')).status, 401);
+  for (const key of ['wrong', `${ADMIN_KEY}x`, ADMIN_KEY.slice(0, -1), sessions.ada.token]) {
+    assert.equal((await call('GET', '/api/admin/agents', { token: key })).status, 401, key);
+  }
+  const roster = await call('GET', '/api/admin/agents', { token: ADMIN_KEY });
+  assert.equal(roster.status, 200);
+  assert.ok(roster.body.agents.some((a) => a.name === 'Vera'));
+
+  const refused = await call('POST', '/api/admin/agents', { token: ADMIN_KEY, body: { name: 'Iris' } });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.error.code, 'invalid_definition');
+});
@@ -0,0 +1,95 @@
+/**
+ * Beliefs: what an agent learns of another's mind, and what it expects of them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Agent } = require('../src/agent');
+const { extractBeliefs, extractValues, styleOf, learnFrom, predictNext, predictionError } = require('../src/beliefs');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+const emptyModel = () => ({ beliefs: [], predictedValues: [], vocabulary: {} });
+
+test('beliefs are stated positions, with doubt and negation against them', () => {
+  const beliefs = extractBeliefs("I think the river is rising. I doubt the bridge will hold. I don't think the ferry is safe.");
+  const byTerm = (term) => beliefs.find((b) => b.terms.includes(term));
+
+  assert.equal(beliefs.length, 3);
+  assert.equal(byTerm('river').polarity, 1);
+  assert.equal(byTerm('bridge').polarity, -1);
+  assert.equal(byTerm('ferry').polarity, -1);
+  assert.deepEqual(extractBeliefs('The river is rising.'), []);
+});
+
+test('values are what someone says matters, and style is how they say it', () => {
+  assert.deepEqual(extractValues('I value honesty. Patience matters.'), ['honesty', 'patience']);
+  assert.deepEqual(extractValues('The river is rising.'), []);
+
+  assert.equal(styleOf('Why?'), 'inquisitive');
+  assert.equal(styleOf('Fine.'), 'terse');
+  assert.equal(styleOf('x'.repeat(201)), 'verbose');
+  assert.equal(styleOf('This is a measured sentence of some length.'), 'measured');
+});
+
+test('a newer belief about the same things replaces the older one', () => {
+  const model = emptyModel();
+  learnFrom(model, { content: 'I think the river is rising fast tonight.', sequence: 1 });
+  learnFrom(model, { content: 'I think the river is not rising at all.', sequence: 2 });
+
+  assert.equal(model.beliefs.length, 1);
+  assert.equal(model.beliefs[0].polarity, -1);
+  assert.equal(model.beliefs[0].sequence, 2);
+  assert.equal(model.style, 'measured');
+});
+
+test('a prediction is scored against what was said: on topic and in style, or neither', () => {
+  const model = learnFrom(emptyModel(), { content: 'I think the river is rising fast tonight.', sequence: 1 });
+  const prediction = predictNext(model);
+
+  assert.ok(prediction.terms.includes('river'));
+  assert.equal(prediction.style, 'measured');
+  assert.equal(predictionError(prediction, { content: 'The river keeps rising, or so I think.' }), 0);
+  assert.equal(predictionError(prediction, { content: 'Cats?' }), 1);
+  assert.equal(predictNext(emptyModel()), null);
+});
+
+test('an agent trusts more someone it has come to understand than someone who keeps surprising it', () => {
+  const steady = new Agent({ id: 'v', name: 'Vera', random: () => 0, now: () => NOW });
+  const erratic = new Agent({ id: 'v', name: 'Vera', random: () => 0, now: () => NOW });
+  const said = (content, sequence) => ({ id: `m${sequence}`, from: 'a', fromName: 'Ada', to: 'world', content, sequence });
+  const surprises = ['Cats?', 'x'.repeat(201), 'Why do ferries float?', 'Quiet.', 'Lanterns, candles and the moon, all of them.'];
+
+  for (let i = 0; i < 5; i++) {
+    steady.updateModel('a', said('I think the river is rising fast tonight.', i));
+    erratic.updateModel('a', said(surprises[i], i));
+  }
+  const understood = steady.models.get('a');
+  const surprising = erratic.models.get('a');
+  assert.equal(understood.predictionError, 0);
+  assert.ok(surprising.predictionError > understood.predictionError);
+  assert.ok(understood.trust > 0.5);
+  assert.ok(surprising.trust < understood.trust);
+});
+
+test('how they answer us is what we think they think of us', () => {
+  const agent = new Agent({ id: 'v', name: 'Vera', random: () => 0, now: () => NOW });
+  const said = (content, sequence, to = 'v') => ({ id: `m${sequence}`, from: 'a', fromName: 'Ada', to, content, sequence });
+
+  agent.updateModel('a', said('I agree with you entirely.', 1));
+  const mine = agent.models.get('a').theirModelOfMe;
+  assert.ok(mine.interest > 0.5);
+  assert.ok(mine.trust > 0.5);
+  assert.ok(agent.models.get('a').trust > 0.5); // we lean toward trusting those who trust us
+
+  agent.updateModel('a', said("That's not true at all.", 2));
+  agent.updateModel('a', said("That's not true at all.", 3));
+  assert.ok(mine.trust < 0.5);
+
+  // Speaking past us while we wait for an answer
+  agent.awaitingReply = { id: 'mine', sequence: 3 };
+  const interest = mine.interest;
+  agent.updateModel('a', said('Lovely weather.', 4, 'world'));
+  assert.ok(mine.interest < interest);
+});
@@ -0,0 +1,68 @@
+/**
+ * Commitments: what a message binds its sender to, and saying the opposite
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { Agent } = require('../src/agent');
+const { detectCommitments, findContradiction } = require('../src/commitments');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+test('promises and positions are detected, with a negation flipping them', () => {
+  const [promise, position] = detectCommitments('I will answer every question. I believe trust is earned slowly.');
+  assert.equal(promise.kind, 'promise');
+  assert.equal(promise.polarity, 1);
+  assert.equal(position.kind, 'position');
+  assert.equal(position.polarity, 1);
+  assert.deepEqual(position.terms, ['trust', 'earned', 'slowly']);
+
+  assert.equal(detectCommitments("I won't answer every question.")[0].polarity, -1);
+  assert.equal(detectCommitments('I believe trust is not earned slowly.')[0].polarity, -1);
+  assert.deepEqual(detectCommitments('Trust is earned slowly.'), []);
+});
+
+test('a contradiction needs the same kind, the opposite polarity and the same terms', () => {
+  const [earlier] = detectCommitments('I believe trust is earned slowly.');
+  const opposite = detectCommitments("I don't believe trust is earned slowly.")[0];
+  assert.equal(findContradiction(opposite, [earlier]), earlier);
+
+  const unrelated = detectCommitments("I don't believe silence is golden.")[0];
+  assert.equal(findContradiction(unrelated, [earlier]), null);
+  const promise = detectCommitments("I won't say trust is earned slowly.")[0];
+  assert.equal(findContradiction(promise, [earlier]), null);
+});
+
+test('commitments and contradictions are on the record, visible as their message is', () => {
+  const world = new World({ now: () => NOW });
+  for (const id of ['a', 'b', 'c']) world.enter({ id, name: id.toUpperCase(), kind: 'human' });
+  const contradictions = [];
+  world.on('contradiction', (event) => contradictions.push(event));
+
+  world.processMessage({ from: 'a', to: 'world', content: 'I believe trust is earned slowly.' });
+  const reversal = world.processMessage({ from: 'a', to: 'b', content: "I don't believe trust is earned slowly." });
+
+  assert.equal(world.getCommitments('a').length, 2);
+  assert.equal(world.getCommitments('a', { id: 'c' }).length, 1);
+  assert.equal(contradictions.length, 1);
+  assert.equal(contradictions[0].messageId, reversal.id);
+  assert.equal(world.isVisibleTo(contradictions[0], { id: 'b' }), true);
+  assert.equal(world.isVisibleTo(contradictions[0], { id: 'c' }), false);
+});
+
+test('an agent does not go back on its word, and trusts less those who do', () => {
+  const agent = new Agent({ id: 'v', name: 'Vera', random: () => 0, now: () => NOW });
+  const [commitment] = detectCommitments('I believe trust is earned slowly.');
+  agent.recordCommitment({ id: 'c1', messageId: 'm1', sequence: 1, ...commitment });
+
+  assert.equal(agent.contradictsOwnCommitments("I don't believe trust is earned slowly."), true);
+  assert.equal(agent.contradictsOwnCommitments('I believe silence is golden.'), false);
+
+  agent.updateModel('a', { id: 'm2', from: 'a', fromName: 'A', to: 'world', content: 'Hello there.', sequence: 2 });
+  const before = agent.models.get('a').trust;
+  agent.observeContradiction({ inhabitantId: 'a' });
+  assert.ok(agent.models.get('a').trust < before);
+  assert.equal(agent.models.get('a').contradictions, 1);
+});
@@ -0,0 +1,90 @@
+/**
+ * Agent lifecycle: agents spawned, retired and replaced while the world runs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { AgentLifecycle } = require('../src/lifecycle');
+const { createDefaultAgents } = require('../src/agents');
+const { HumanInhabitant } = require('../src/agent');
+
+const NOW = Date.UTC(2025, 0, 1);
+const now = () => NOW;
+
+function setup() {
+  const world = new World({ now });
+  const agents = createDefaultAgents([], undefined, { random: () => 0, now });
+  for (const agent of agents) world.enter(agent);
+  const prepared = [];
+  const lifecycle = new AgentLifecycle({ world, agents, prepare: (a) => prepared.push(a.name), random: () => 0, now });
+  return { world, agents, lifecycle, prepared };
+}
+
+const IRIS = { name: 'Iris', personality: 'quiet, observant' };
+
+test('a spawned agent is prepared, joins the roster and enters on the record', () => {
+  const { world, agents, lifecycle, prepared } = setup();
+  const { value: iris, error } = lifecycle.spawn(IRIS);
+
+  assert.equal(error, undefined);
+  assert.ok(agents.includes(iris));
+  assert.ok(world.inhabitants.has(iris.id));
+  assert.deepEqual(prepared, ['Iris']);
+  const event = world.memory.find((e) => e.type === 'lifecycle');
+  assert.equal(event.action, 'spawn');
+  assert.equal(event.inhabitantId, iris.id);
+});
+
+test('a retired agent leaves the roster, the world and its rooms, and is archived', () => {
+  const { world, agents, lifecycle } = setup();
+  const vera = agents.find((a) => a.name === 'Vera');
+  const room = world.createRoom({ name: 'library', createdBy: vera.id });
+  world.joinRoom(room.id, vera.id);
+
+  const { value } = lifecycle.retire(vera.id);
+  assert.equal(value, vera);
+  assert.equal(agents.includes(vera), false);
+  assert.equal(world.inhabitants.has(vera.id), false);
+  assert.equal(world.rooms.get(room.id).members.has(vera.id), false);
+  assert.equal(lifecycle.retired[0].id, vera.id);
+  assert.equal(lifecycle.retired[0].snapshot.name, 'Vera');
+
+  assert.equal(lifecycle.retire(vera.id).error.code, 'unknown_agent');
+  assert.equal(lifecycle.spawn({ ...IRIS, name: 'Vera' }).error.code, 'name_taken');
+});
+
+test('a successor inherits part of what its predecessor knew, and the predecessor retires', () => {
+  const { world, agents, lifecycle } = setup();
+  const marsh = agents.find((a) => a.name === 'Marsh');
+  const ada = new HumanInhabitant({ id: 'ada', name: 'Ada' });
+  world.enter(ada);
+  marsh.updateModel(ada.id, world.processMessage({ from: ada.id, to: 'world', content: 'Trust is earned slowly.' }));
+
+  const { value: iris } = lifecycle.replace(marsh.id, IRIS);
+  assert.equal(agents.includes(marsh), false);
+  assert.ok(agents.includes(iris));
+  // random() = 0: everything is passed on, with trust drifted down
+  const inherited = iris.models.get(ada.id);
+  assert.equal(inherited.inherited, true);
+  assert.ok(inherited.trust <= marsh.models.get(ada.id).trust);
+  assert.deepEqual(inherited.theirModelOfMe, { trust: 0.5, interest: 0.5 });
+
+  const actions = world.memory.filter((e) => e.type === 'lifecycle').map((e) => e.action);
+  assert.deepEqual(actions, ['replace', 'retire']);
+  assert.equal(lifecycle.retired[0].successorId, iris.id);
+});
+
+test('definitions that break the schema are refused with every problem named', () => {
+  const { agents, lifecycle } = setup();
+  const { error } = lifecycle.spawn({ name: '@Iris', engagement: 2, color: 'red' });
+
+  assert.equal(error.code, 'invalid_definition');
+  assert.match(error.message, /personality/);
+  assert.match(error.message, /name/);
+  assert.match(error.message, /engagement/);
+  assert.match(error.message, /color/);
+  assert.equal(agents.length, 4);
+  assert.equal(lifecycle.spawn({ ...IRIS, name: 'world' }).error.code, 'name_taken');
+});
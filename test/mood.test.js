@@ -0,0 +1,81 @@
+/**
+ * Mood: moods move with what happens to an agent, hold a while, and fade
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { Agent } = require('../src/agent');
+const { createFeelings, react, nextMood } = require('../src/mood');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+// Apply stimuli in turn from a calm rest; returns the mood after each
+function live(stimuli, { mood = 'calm', agent = { feelings: createFeelings(), engagement: 0.5, baseEngagement: 0.5 } } = {}) {
+  const moods = [];
+  for (const [stimulus, scale = 1] of stimuli) {
+    react(agent, stimulus, scale);
+    mood = nextMood(mood, 'calm', agent.feelings);
+    moods.push(mood);
+  }
+  return { moods, agent };
+}
+
+const times = (n, stimulus, scale) => Array.from({ length: n }, () => [stimulus, scale]);
+
+test('agreement brings contentment, then elation once the agent is stirred', () => {
+  const { moods } = live([...times(3, 'agreement'), ...times(2, 'addressed')]);
+  assert.deepEqual(moods, ['calm', 'calm', 'content', 'elated', 'elated']);
+});
+
+test('being ignored withdraws an agent, and lowers its engagement', () => {
+  const { moods, agent } = live(times(3, 'ignored'));
+  assert.deepEqual(moods, ['calm', 'withdrawn', 'withdrawn']);
+  assert.ok(agent.engagement < 0.5);
+});
+
+test('a mood holds past the feelings that brought it, then fades to the temperament', () => {
+  const start = live(times(3, 'agreement'));
+  assert.equal(start.moods.at(-1), 'content');
+
+  // Valence below what entering contentment takes, above what holding it does
+  const after = live([['disagreement']], { mood: 'content', agent: start.agent });
+  assert.ok(after.agent.feelings.valence < 0.4);
+  assert.deepEqual(after.moods, ['content']);
+
+  // Nothing happening: feelings settle, and the mood returns to rest
+  const settled = live(times(40, 'evaluation', 0), { mood: 'content', agent: after.agent });
+  assert.equal(settled.moods.at(-1), 'calm');
+});
+
+test('an elated agent comes down before it can turn agitated', () => {
+  const { moods } = live([...times(3, 'agreement'), ...times(2, 'addressed'), ...times(8, 'disagreement')]);
+  const elated = moods.indexOf('elated');
+  const agitated = moods.indexOf('agitated');
+  assert.ok(elated !== -1 && agitated > elated);
+  assert.ok(moods.slice(elated, agitated).some((m) => m !== 'elated' && m !== 'agitated'));
+});
+
+test('a change of mood is on the record, visible as the message that caused it', () => {
+  const world = new World({ now: () => NOW });
+  const vera = new Agent({ id: 'v', name: 'Vera', mood: 'calm', random: () => 0, now: () => NOW });
+  vera.onMoodChange = (change) => world.recordAgentState(vera, change);
+  for (const inhabitant of [vera, { id: 'a', name: 'A', kind: 'human' }, { id: 'b', name: 'B', kind: 'human' }]) {
+    world.enter(inhabitant);
+  }
+
+  let message;
+  for (let i = 0; i < 4 && vera.mood === 'calm'; i++) {
+    message = world.processMessage({ from: 'a', to: 'v', content: `I agree with you, Vera, entirely (${i}).` });
+    vera.reactTo(message, 0.5);
+  }
+  assert.notEqual(vera.mood, 'calm');
+
+  const [change] = world.memory.filter((e) => e.type === 'agent-state');
+  assert.equal(change.mood, vera.mood);
+  assert.equal(change.previousMood, 'calm');
+  assert.equal(change.messageId, message.id);
+  assert.equal(world.isVisibleTo(change, { id: 'a' }), true);
+  assert.equal(world.isVisibleTo(change, { id: 'b' }), false);
+});
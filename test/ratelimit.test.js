@@ -0,0 +1,22 @@
+/**
+ * Rate limiting: buckets outlive their connections, but not forever
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { RateLimiter } = require('../src/ratelimit');
+
+test('only full buckets are dropped when the limiter prunes', () => {
+  let t = 0;
+  const limiter = new RateLimiter({ capacity: 2, refillPerSecond: 1, now: () => t });
+  limiter.take('drained');
+  limiter.take('drained');
+  limiter.take('rested');
+  t = 1000; // 'rested' is full again, 'drained' has one token
+  limiter.prune();
+
+  assert.equal(limiter.buckets.has('rested'), false);
+  assert.equal(limiter.take('drained'), true);
+  assert.equal(limiter.take('drained'), false);
+});
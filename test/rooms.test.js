@@ -0,0 +1,57 @@
+/**
+ * Rooms: a room's messages are for its members, past and future
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { validateMessage } = require('../src/validation');
+
+const NOW = Date.UTC(2025, 0, 1);
+
+function setup() {
+  const world = new World({ now: () => NOW });
+  for (const id of ['a', 'b', 'c']) world.enter({ id, name: id.toUpperCase(), kind: 'human' });
+  const room = world.createRoom({ name: 'Library', createdBy: 'a' });
+  return { world, room };
+}
+
+test('room messages are seen by members only, including what was said before they joined', () => {
+  const { world, room } = setup();
+  const said = world.processMessage({ from: 'a', to: room.id, content: 'Welcome to the library.' });
+
+  assert.equal(world.isVisibleTo(said, { id: 'a' }), true);
+  assert.equal(world.isVisibleTo(said, { id: 'b' }), false);
+  assert.equal(world.isVisibleTo(said, { id: null }), false);
+  assert.equal(world.isVisibleTo(said, { id: 'c', observer: true }), true);
+
+  world.joinRoom(room.id, 'b');
+  assert.equal(world.isVisibleTo(said, { id: 'b' }), true);
+  assert.deepEqual(world.getRecentMessages(10, { id: 'b' }).map((m) => m.id), [said.id]);
+  assert.deepEqual(world.getRecentMessages(10, { id: 'c' }), []);
+});
+
+test('leaving a room ends its visibility, but a sender still sees what they said', () => {
+  const { world, room } = setup();
+  world.joinRoom(room.id, 'b');
+  const fromB = world.processMessage({ from: 'b', to: room.id, content: 'Quiet in here.' });
+  const fromA = world.processMessage({ from: 'a', to: room.id, content: 'As it should be.' });
+
+  world.leaveRoom(room.id, 'b');
+  assert.equal(world.isVisibleTo(fromA, { id: 'b' }), false);
+  assert.equal(world.isVisibleTo(fromB, { id: 'b' }), true);
+  assert.equal(world.isRoomMember(room.id, 'b'), false);
+});
+
+test('only members may speak in a room, and membership replays from the log', () => {
+  const { world, room } = setup();
+  assert.ok(validateMessage({ content: 'Hi', to: room.id }, { world, senderId: 'a' }).value);
+  assert.ok(validateMessage({ content: 'Hi', to: room.id }, { world, senderId: 'c' }).error);
+
+  world.joinRoom(room.id, 'b');
+  world.leaveRoom(room.id, 'a');
+  const replayed = new World({ now: () => NOW });
+  replayed.replay(world.memory);
+  assert.deepEqual(Array.from(replayed.rooms.get(room.id).members), ['b']);
+});
@@ -0,0 +1,67 @@
+/**
+ * Response scheduler: what the world records when it silences an agent
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { World } = require('../src/world');
+const { ResponseScheduler } = require('../src/scheduler');
+const { AgentRuntime } = require('../src/runtime');
+const { VirtualClock } = require('../src/clock');
+const { Agent, HumanInhabitant } = require('../src/agent');
+
+test('a suppressed reply is recorded once per agent and message, visible as the message is', () => {
+  const world = new World();
+  for (const id of ['a', 'b', 'c', 'h']) world.enter({ id, name: id.toUpperCase(), kind: 'agent' });
+  const scheduler = new ResponseScheduler(world, { replyBudget: 1, agentCooldown: 0 });
+
+  const secret = world.processMessage({ from: 'h', to: ['a', 'b', 'c'], content: 'Only for the three of you.' });
+  assert.equal(scheduler.admit({ id: 'a', name: 'A' }, secret), true);
+  assert.equal(scheduler.admit({ id: 'b', name: 'B' }, secret), false);
+  assert.equal(scheduler.admit({ id: 'c', name: 'C' }, secret), false);
+  assert.equal(scheduler.admit({ id: 'b', name: 'B' }, secret), false); // tried again
+
+  const suppressed = world.memory.filter((e) => e.type === 'suppressed');
+  assert.deepEqual(suppressed.map((e) => e.inhabitantId), ['b', 'c']);
+  assert.equal(suppressed[0].messageId, secret.id);
+  assert.equal(world.isVisibleTo(suppressed[0], { id: 'b' }), true);
+
+  world.enter({ id: 'o', name: 'O', kind: 'human' });
+  assert.equal(world.isVisibleTo(suppressed[0], { id: 'o' }), false);
+});
+
+test('a suppressed initiation is not recorded', () => {
+  const world = new World();
+  world.enter({ id: 'a', name: 'A', kind: 'agent' });
+  const scheduler = new ResponseScheduler(world);
+
+  assert.equal(scheduler.admit({ id: 'a', name: 'A' }, null), true);
+  assert.equal(scheduler.admit({ id: 'a', name: 'A' }, null), false); // cooldown
+  assert.equal(world.memory.filter((e) => e.type === 'suppressed').length, 0);
+});
+
+test('a suppressed reply costs neither a provider call nor attention for the words', async () => {
+  const clock = new VirtualClock(Date.UTC(2025, 0, 1));
+  const world = new World({ now: clock.now });
+  let calls = 0;
+  const provider = { generate: async () => { calls++; return 'Yes, here.'; } };
+  const vera = new Agent({ id: 'vera', name: 'Vera', provider, random: () => 0, now: clock.now });
+  const spent = [];
+  const spendAttention = vera.spendAttention.bind(vera);
+  vera.spendAttention = (amount) => { spent.push(amount); spendAttention(amount); };
+  world.enter(vera);
+  world.enter(new HumanInhabitant({ id: 'h', name: 'H' }));
+
+  const scheduler = new ResponseScheduler(world, { replyBudget: 0, now: clock.now });
+  const runtime = new AgentRuntime({ world, agents: [vera], scheduler, timers: clock.timers, random: () => 0 });
+  runtime.start({ kickstart: false });
+  world.processMessage({ from: 'h', to: 'vera', content: 'Are you there, Vera?' });
+  await clock.advance(10000);
+  runtime.stop();
+
+  assert.equal(calls, 0);
+  assert.equal(spent.length, 1); // reading the message, and nothing more
+  assert.equal(world.memory.filter((e) => e.type === 'message' && e.from === 'vera').length, 0);
+  assert.deepEqual(world.memory.filter((e) => e.type === 'suppressed').map((e) => e.reason), ['reply_budget']);
+});
@@ -0,0 +1,41 @@
+/**
+ * Human sessions: one identity across tabs and restarts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SessionRegistry } = require('../src/sessions');
+const { JsonSnapshotStore } = require('../src/store');
+
+test('every tab presenting the token is the same inhabitant, present until the last one closes', () => {
+  const sessions = new SessionRegistry();
+  const { token, session } = sessions.create({ name: 'Ada' });
+
+  assert.equal(sessions.resolve(token), session);
+  assert.equal(sessions.resolve(token).inhabitantId, session.inhabitantId);
+  assert.equal(sessions.resolve('not-a-token'), null);
+  assert.equal(sessions.resolve(undefined), null);
+
+  assert.equal(sessions.attach(session.inhabitantId, 'tab-1'), true); // enters
+  assert.equal(sessions.attach(session.inhabitantId, 'tab-2'), false); // already present
+  assert.equal(sessions.detach(session.inhabitantId, 'tab-1'), false); // still present
+  assert.equal(sessions.detach(session.inhabitantId, 'tab-2'), true); // leaves
+});
+
+test('sessions survive a restart, and only token hashes are stored', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-im-sessions-'));
+  try {
+    const file = path.join(dir, 'sessions.json');
+    const { token, session } = new SessionRegistry({ store: new JsonSnapshotStore(file) }).create({ name: 'Ada' });
+
+    assert.equal(fs.readFileSync(file, 'utf8').includes(token), false);
+    const restarted = new SessionRegistry({ store: new JsonSnapshotStore(file) });
+    assert.equal(restarted.resolve(token).inhabitantId, session.inhabitantId);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
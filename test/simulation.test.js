@@ -0,0 +1,32 @@
+/**
+ * Simulation: the same seed and script remember the same world, event for
+ * event; another seed, another world
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Simulation } = require('../src/simulation');
+const { MemoryEventStore } = require('../src/store');
+const script = require('../fixtures/simulation.json');
+
+// Agents speak from their templates: no provider, nothing but the seed decides
+async function run(seed) {
+  const store = new MemoryEventStore();
+  const simulation = new Simulation({ seed, store });
+  await simulation.run({ duration: script.duration, inputs: script.inputs });
+  return store.load();
+}
+
+test('the same seed gives the same event log', async () => {
+  const first = await run(script.seed);
+  const second = await run(script.seed);
+  assert.ok(first.some((e) => e.type === 'message' && e.fromName === 'Vera'));
+  assert.deepEqual(second, first);
+});
+
+test('a different seed gives a different event log', async () => {
+  const first = await run(script.seed);
+  const other = await run(`${script.seed}-other`);
+  assert.notDeepEqual(other, first);
+});
@@ -0,0 +1,145 @@
+/**
+ * World memory replay: a world rebuilt from its event log must be the world
+ * that wrote it (PRD §4: world memory is not lossy)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { World } = require('../src/world');
+const { MemoryEventStore, JsonlEventStore } = require('../src/store');
+
+const NOW = Date.UTC(2025, 0, 1);
+const now = () => NOW;
+
+function inhabitant(id, kind = 'agent') {
+  return { id, name: id.toUpperCase(), kind };
+}
+
+// Every relationship model, as plain data
+function relationshipsOf(world) {
+  const all = {};
+  for (const [fromId, rels] of world.relationships) all[fromId] = Object.fromEntries(rels);
+  return JSON.parse(JSON.stringify(all));
+}
+
+// A world rebuilt from a copy of the store's log
+function replayed(store) {
+  return new World({ store: new MemoryEventStore(store.load()), now });
+}
+
+// a and b are agents; h is a human who is there before the restart only
+function firstRun(store, { cleanShutdown }) {
+  const world = new World({ store, now });
+  world.enter(inhabitant('a'));
+  world.enter(inhabitant('b'));
+  world.enter(inhabitant('h', 'human'));
+  world.processMessage({ from: 'a', to: 'world', content: 'What does it mean to know someone?' });
+  world.processMessage({ from: 'h', to: 'a', content: 'Only what they choose to show.' });
+  if (cleanShutdown) world.leaveAll();
+  return world;
+}
+
+// After the restart the agents return, but h does not
+function secondRun(store) {
+  const world = new World({ store, now });
+  world.enter(inhabitant('a'));
+  world.enter(inhabitant('b'));
+  world.processMessage({ from: 'a', to: 'world', content: 'The silence has a texture today.' });
+  world.processMessage({ from: 'b', to: 'world', content: 'Silence is also a message.' });
+  world.processMessage({ from: 'a', to: 'world', content: 'Then we are always speaking.' });
+  world.leaveAll();
+  return world;
+}
+
+test('replay after a clean shutdown matches the live relationships', () => {
+  const store = new MemoryEventStore();
+  firstRun(store, { cleanShutdown: true });
+  const live = secondRun(store);
+  assert.deepEqual(relationshipsOf(replayed(store)), relationshipsOf(live));
+});
+
+test('replay after a crash matches the live relationships', () => {
+  const store = new MemoryEventStore();
+  const before = firstRun(store, { cleanShutdown: false });
+  const interactions = before.relationships.get('a').get('h').interactions;
+  const live = secondRun(store);
+
+  const replay = replayed(store);
+  assert.deepEqual(relationshipsOf(replay), relationshipsOf(live));
+  // Broadcasts after the restart did not reach h, who was no longer there
+  assert.equal(replay.relationships.get('a').get('h').interactions, interactions);
+});
+
+test('an event appended after a torn last line survives a reload', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-im-'));
+  const file = path.join(dir, 'world-memory.jsonl');
+  try {
+    fs.writeFileSync(file, '{"id":"1","sequence":1,"type":"enter"}\n{"id":"2","seq');
+
+    const store = new JsonlEventStore(file);
+    assert.equal(store.load().length, 1);
+    store.append({ id: '3', sequence: 2, type: 'leave' });
+    await store.close();
+
+    const events = new JsonlEventStore(file).load();
+    assert.deepEqual(events.map((e) => e.id), ['1', '3']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a log that cannot be written is reported on close, not thrown', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'world-im-'));
+  try {
+    // A link to a file in a directory that is not there: the log cannot be opened
+    const file = path.join(dir, 'world-memory.jsonl');
+    fs.symlinkSync(path.join(dir, 'missing', 'world-memory.jsonl'), file);
+    const store = new JsonlEventStore(file);
+    store.append({ id: '1', sequence: 1, type: 'enter' });
+    store.append({ id: '2', sequence: 2, type: 'leave' });
+    await assert.rejects(store.close(), { code: 'ENOENT' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('direct messages show in the relationship graph only to their participants', () => {
+  const world = new World({ now });
+  for (const id of ['a', 'b', 'c']) world.enter(inhabitant(id));
+  world.processMessage({ from: 'a', to: 'b', content: 'Just between us.' });
+  world.processMessage({ from: 'a', to: 'b', content: 'Still between us.' });
+
+  const edge = (viewer, from, to) =>
+    world.getRelationshipGraph({ viewer }).edges.find((e) => e.from === from && e.to === to);
+
+  assert.equal(edge({ id: 'a' }, 'a', 'b').sent, 2);
+  assert.equal(edge({ id: 'c', observer: true }, 'a', 'b').sent, 2);
+  assert.equal(edge({ id: 'c' }, 'a', 'b'), undefined);
+  assert.equal(edge({ id: null }, 'b', 'a'), undefined);
+  assert.equal(world.getRelationships('a', { id: 'c' }).b, undefined);
+
+  // What the world saw is anyone's to know
+  world.processMessage({ from: 'a', to: 'world', content: 'Hello, all of you.' });
+  const seen = edge({ id: 'c' }, 'a', 'b');
+  assert.equal(seen.interactions, 1);
+  assert.equal(seen.sent, 0);
+
+  const changes = world.memory.filter((e) => e.type === 'relationship');
+  assert.ok(changes.every((e) => !world.isVisibleTo(e, { id: 'c' }) || e.from === 'c' || e.to === 'c'));
+});
+
+test('a public message is classified against public history only', () => {
+  const world = new World({ now });
+  for (const id of ['a', 'b', 'c']) world.enter(inhabitant(id));
+  world.processMessage({ from: 'a', to: 'b', content: 'Bananas ripen slowly in the dark cupboard.' });
+
+  const inPublic = world.processMessage({ from: 'c', to: 'world', content: 'Bananas ripen slowly in the dark cupboard.' });
+  assert.equal(inPublic.classification.novelty, 1);
+
+  const inPrivate = world.processMessage({ from: 'b', to: 'a', content: 'Bananas ripen slowly in the dark cupboard.' });
+  assert.ok(inPrivate.classification.novelty < 0.5);
+});